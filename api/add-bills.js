@@ -0,0 +1,333 @@
+// /api/add-bills.js
+// Creates draft bill items for bills the collection doesn't track yet, filled
+// with the values sync-bills writes (lib/bill-fields.js): title, status, stage,
+// timelines, sponsors, topics, committees, sponsor references, votes and text changes.
+// Usage: POST /api/add-bills (same auth as sync-bills) with query parameters or a JSON body:
+//        numbers=HF12,SF916       bills by number
+//        query=education          a LegiScan full-text search
+//        subject=Education        only bills with a matching LegiScan subject (searched for
+//                                 when given alone)
+//        &state=MN &year=2025     jurisdiction (default MN) and legislative year
+//        &limit=25                most items to create per call (max 100)
+//        &dryRun=1                report what would be created
+//        &voteDetail=1            list how each legislator voted, as in sync-bills
+// Existing items are matched by state, normalized bill number (either chamber,
+// companions included) and session years.
+
+import { requireAuth } from "../lib/auth.js";
+import { requireConfig } from "../lib/config.js";
+import { createLegiScanClient } from "../lib/legiscan.js";
+import { createWebflowClient } from "../lib/webflow.js";
+import { getStore } from "../lib/store.js";
+import { loadFieldMap, resolveFieldMap, itemYear } from "../lib/field-map.js";
+import { createLegislatorDirectory } from "../lib/legislators.js";
+import { loadTopicConfig, loadTaxonomy, recordUnmapped } from "../lib/topics.js";
+import { createBillFieldBuilder } from "../lib/bill-fields.js";
+import {
+  DEFAULT_STATE, getStateProfile, normalizeBillNumber, chamberOfNumber, inferStateFromNumbers,
+  legiscanNumbers, parseLegislativeYear, findCompanion,
+} from "../lib/states.js";
+import { loadRenderTemplates } from "../lib/render.js";
+
+const MAX_LIMIT = 100;
+const SEARCH_PAGES = 5; // LegiScan returns 50 results per page
+
+export default async function handler(req, res) {
+  if (!requireAuth(req, res, { methods: ["POST"], cronGet: false })) return;
+
+  let legiscan = null, store = null;
+  try {
+    const config = requireConfig(res, ["webflowToken", "legiscanApiKey", "collectionId", "legislatorsCollectionId"]);
+    if (!config) return;
+
+    const input = { ...(req.query || {}), ...(req.body && typeof req.body === "object" ? req.body : {}) };
+    const flag = (v) => ["1", "true"].includes(String(v || "").toLowerCase());
+    const dryRun = flag(input.dryRun);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, Number(input.limit) || 25));
+    const profile = getStateProfile(input.state || DEFAULT_STATE);
+    if (!profile) {
+      return res.status(400).json({ success: false, error: "Unsupported state", message: `No profile for state "${input.state}"` });
+    }
+    const state = profile.code;
+    const year = input.year ? String(input.year).trim() : null;
+    const numbers = (Array.isArray(input.numbers) ? input.numbers : String(input.numbers || "").split(","))
+      .map(n => normalizeBillNumber(String(n).trim(), profile))
+      .filter(Boolean);
+    const query = String(input.query || "").trim();
+    const subject = String(input.subject || "").trim();
+
+    if (!numbers.length && !query && !subject) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required parameter",
+        message: 'Provide "numbers" (comma-separated), "query" (LegiScan search) and/or "subject"',
+        examples: [
+          "/api/add-bills?numbers=HF12,SF916&year=2025",
+          "/api/add-bills?query=education&limit=10",
+          "/api/add-bills?subject=Education&dryRun=1",
+        ],
+      });
+    }
+
+    store = getStore();
+    legiscan = createLegiScanClient({ apiKey: config.legiscanApiKey, store });
+    const webflow = createWebflowClient({ token: config.webflowToken, collectionId: config.collectionId });
+
+    const map = loadFieldMap();
+    const collection = await webflow.getCollection();
+    const mapping = resolveFieldMap(map, collection);
+    if (!mapping.ok) {
+      return res.status(400).json({
+        success: false,
+        error: "Field mapping does not match the collection schema",
+        mappingSource: map.source,
+        problems: mapping.problems,
+      });
+    }
+    const F = mapping.fields;
+    let templates;
+    try {
+      templates = loadRenderTemplates();
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    // Legislator references and topic / committee tagging, as sync-bills sets them up
+    let legislators = null;
+    if (config.legislatorsCollectionId && (F.sponsorRefs || F.houseSponsorRefs || F.senateSponsorRefs)) {
+      legislators = createLegislatorDirectory({ webflow, legiscan, store, collectionId: config.legislatorsCollectionId });
+      const legislatorMapping = await legislators.load();
+      if (!legislatorMapping.ok) {
+        return res.status(400).json({
+          success: false,
+          error: "Legislator field mapping does not match the collection schema",
+          mappingSource: legislatorMapping.source,
+          problems: legislatorMapping.problems,
+        });
+      }
+    }
+    let topicConfig = null, taxonomy = null;
+    if (F.topics || F.houseCommittee || F.senateCommittee) {
+      try {
+        topicConfig = loadTopicConfig();
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+      taxonomy = await loadTaxonomy({
+        webflow,
+        collection,
+        fields: { topics: F.topics, houseCommittee: F.houseCommittee, senateCommittee: F.senateCommittee },
+      });
+    }
+    const unmapped = { subjects: new Map(), committees: new Map() }; // name -> Set of bill numbers
+    const fields = createBillFieldBuilder({
+      mapping, templates, legiscan, store, taxonomy, topicConfig, legislators, dryRun,
+      voteDetail: flag(input.voteDetail ?? process.env.SYNC_VOTE_DETAIL),
+      onUnmapped: (kind, name, billNumber) => {
+        if (!unmapped[kind].has(name)) unmapped[kind].set(name, new Set());
+        unmapped[kind].get(name).add(billNumber);
+      },
+    });
+
+    // --- Candidates ------------------------------------------------------------
+    // `sessionYear`: a year inside the bill's session, known before fetching it
+    const requestedYear = year ? parseLegislativeYear(year).year : null;
+    const candidates = numbers.map(number => ({ number, sessionYear: requestedYear }));
+    if (query || (subject && !numbers.length)) {
+      const searchYear = requestedYear || 2; // 2 = current sessions
+      for (let page = 1; page <= SEARCH_PAGES; page++) {
+        const data = await legiscan.getSearch({ state, query: query || subject, year: searchYear, page });
+        if (data.status !== "OK") {
+          return res.status(502).json({ success: false, error: data.alert?.message || "LegiScan search failed" });
+        }
+        const { summary, ...hits } = data.searchresult || {};
+        Object.values(hits).forEach(h => candidates.push({
+          number: normalizeBillNumber(h.bill_number, profile),
+          bill_id: h.bill_id,
+          sessionYear: requestedYear || parseLegislativeYear(String(h.last_action_date || "").slice(0, 4)).year,
+        }));
+        if (!summary || page >= Number(summary.page_total || 1)) break;
+      }
+    }
+
+    // --- Bills already in the collection ---------------------------------------
+    // "MN|HF12" -> legislative years of the items carrying that number
+    const tracked = new Map();
+    const track = (itemState, number, trackYear) => {
+      if (!number) return;
+      const key = `${itemState}|${number}`;
+      if (!tracked.has(key)) tracked.set(key, []);
+      tracked.get(key).push(trackYear);
+    };
+    const { items } = await webflow.listItems();
+    items.forEach(item => {
+      const fd = item.fieldData || {};
+      const rawHouse = fd[F.houseNumber] || "", rawSenate = fd[F.senateNumber] || "";
+      // An item whose jurisdiction can't be told from its number counts as tracked in
+      // every state it could belong to, so it isn't added a second time
+      const itemStates = mapping.jurisdictionByOptionId[fd[F.jurisdiction]]
+        ? [mapping.jurisdictionByOptionId[fd[F.jurisdiction]]]
+        : inferStateFromNumbers(rawHouse, rawSenate).candidates;
+      const trackedYear = parseLegislativeYear(itemYear(mapping, fd)).year;
+      itemStates.forEach(itemState => {
+        const itemProfile = getStateProfile(itemState);
+        [rawHouse, rawSenate].forEach(raw => track(itemState, normalizeBillNumber(raw, itemProfile), trackedYear));
+      });
+    });
+    // Within the bill's session; items without a year match any session
+    const isTracked = (number, session) => (tracked.get(`${state}|${number}`) || []).some(y =>
+      !y || !session?.year_start || (y >= session.year_start && y <= (session.year_end || session.year_start)));
+
+    // --- Option ids ------------------------------------------------------------
+    const jurisdictionId = Object.entries(mapping.jurisdictionByOptionId).find(([, code]) => code === state)?.[0] || null;
+    const yearField = (collection.fields || []).find(f => f.slug === F.year);
+    const yearValue = (value) => {
+      if (!yearField) return null;
+      if (yearField.type === "Number") return Number(parseLegislativeYear(value).year);
+      if (yearField.type === "Option") {
+        return (yearField.validations?.options || []).find(o => o.name.toLowerCase() === value.toLowerCase())?.id || undefined;
+      }
+      return value;
+    };
+
+    async function fetchBill({ number, bill_id }) {
+      if (bill_id) {
+        const data = await legiscan.getBill({ id: bill_id });
+        if (data.status === "OK" && data.bill) return data.bill;
+      }
+      let data = null;
+      for (const searchNumber of legiscanNumbers(number, profile)) {
+        data = await legiscan.getBill({ state, bill: searchNumber, year: requestedYear || undefined });
+        if (data.status === "OK" && data.bill) return data.bill;
+      }
+      throw new Error(data?.alert?.message || `Bill not found: ${number}`);
+    }
+
+    // Year the bill was introduced, for bills added without a year
+    const introducedYear = (bill) => {
+      const intro = (bill.progress || []).find(p => Number(p.event) === 1)?.date
+        || [...(bill.history || [])].sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0))[0]?.date;
+      return String(intro ? new Date(intro).getFullYear() : bill.session?.year_start || new Date().getFullYear());
+    };
+
+    // --- Plan the new items ----------------------------------------------------
+    const planned = [], skipped = [], errors = [];
+    const seen = new Set();
+    const batch = new Map(); // companion number -> number planned in this request
+    for (const candidate of candidates) {
+      if (planned.length >= limit) break;
+      if (seen.has(candidate.number)) continue;
+      seen.add(candidate.number);
+
+      // Settle what the search hit / requested year already tells us before
+      // spending a getBill on it
+      if (candidate.number && batch.has(candidate.number)) {
+        skipped.push({ number: candidate.number, reason: `Companion of ${batch.get(candidate.number)}, added in this request` });
+        continue;
+      }
+      if (candidate.number && candidate.sessionYear && isTracked(candidate.number, { year_start: candidate.sessionYear })) {
+        skipped.push({ number: candidate.number, reason: "Already tracked" });
+        continue;
+      }
+
+      let bill;
+      try {
+        bill = await fetchBill(candidate);
+      } catch (err) {
+        skipped.push({ number: candidate.number, reason: err.message });
+        continue;
+      }
+
+      // Keep the citation the editor used (US: HR1), else LegiScan's number
+      const number = candidate.number || normalizeBillNumber(bill.bill_number, profile);
+      const chamber = chamberOfNumber(number, profile);
+      if (!chamber) {
+        skipped.push({ number, reason: "Not a house or senate bill number" });
+        continue;
+      }
+      const companion = findCompanion(bill, chamber === "house" ? "senate" : "house", state);
+      if (batch.has(number)) {
+        skipped.push({ number, reason: `Companion of ${batch.get(number)}, added in this request` });
+        continue;
+      }
+      if (isTracked(number, bill.session)) {
+        skipped.push({ number, reason: "Already tracked" });
+        continue;
+      }
+      if (companion && isTracked(companion.number, bill.session)) {
+        skipped.push({ number, reason: `Companion ${companion.number} is already tracked` });
+        continue;
+      }
+      if (subject && !(bill.subjects || []).some(s => String(s.subject_name || "").toLowerCase().includes(subject.toLowerCase()))) {
+        skipped.push({ number, reason: `No subject matching "${subject}"` });
+        continue;
+      }
+
+      // The values sync-bills would write, plus the number, year and jurisdiction
+      // sync-bills reads; a new item has nothing to clear, so empty ones are left out
+      const legislativeYear = year || introducedYear(bill);
+      const built = await fields.build({
+        state,
+        legislativeYear,
+        primaryInfo: bill,
+        houseNumber: chamber === "house" ? number : "",
+        houseInfo: chamber === "house" ? bill : null,
+        senateNumber: chamber === "senate" ? number : "",
+        senateInfo: chamber === "senate" ? bill : null,
+      });
+      const title = built.title;
+      const fieldData = Object.fromEntries(Object.entries(built.fieldData).filter(([, v]) => v != null));
+      const put = (attr, value) => { if (F[attr] && value != null) fieldData[F[attr]] = value; };
+      put(`${chamber}Number`, number);
+      put("year", yearValue(legislativeYear));
+      put("jurisdiction", jurisdictionId);
+
+      planned.push({ number, year: legislativeYear, title, fieldData });
+      if (companion) batch.set(companion.number, number);
+    }
+
+    if (!dryRun && (unmapped.subjects.size || unmapped.committees.size)) {
+      await recordUnmapped(store, {
+        subjects: [...unmapped.subjects].map(([name, bills]) => [name, [...bills]]),
+        committees: [...unmapped.committees].map(([name, bills]) => [name, [...bills]]),
+      });
+    }
+
+    let created = [];
+    if (!dryRun && planned.length) {
+      // Legislators added for these bills go live first, as in sync-bills
+      if (legislators) {
+        const { failed } = await legislators.publish();
+        failed.forEach(f => errors.push({ error: `Legislator publish failed: ${f.error}`, details: f.details, affectedItems: f.ids }));
+      }
+      const result = await webflow.createItems(planned.map(p => ({ isDraft: true, isArchived: false, fieldData: p.fieldData })));
+      const bySlug = new Map(result.ok.map(it => [it.fieldData?.slug, it.id]));
+      created = planned
+        .filter(p => bySlug.has(p.fieldData.slug))
+        .map(p => ({ id: bySlug.get(p.fieldData.slug), number: p.number, year: p.year, title: p.title }));
+      result.failed.forEach(f => errors.push({ error: f.error, status: f.status, details: f.details }));
+    }
+
+    return res.status(200).json({
+      success: errors.length === 0,
+      dryRun: dryRun || undefined,
+      timestamp: new Date().toISOString(),
+      state,
+      summary: {
+        candidates: seen.size,
+        [dryRun ? "wouldCreate" : "created"]: dryRun ? planned.length : created.length,
+        skipped: skipped.length,
+        errors: errors.length,
+      },
+      legiscan: await legiscan.usage(),
+      items: dryRun ? planned.map(({ number, year: y, title, fieldData }) => ({ number, year: y, title, fieldData })) : created,
+      skipped: skipped.length ? skipped : undefined,
+      errors: errors.length ? errors : undefined,
+    });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message, message: "Adding bills failed" });
+  } finally {
+    await legiscan?.flushUsage();
+    await store?.flush();
+  }
+}
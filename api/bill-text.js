@@ -0,0 +1,89 @@
+// /api/bill-text.js
+// Text versions of a bill and what changed between them
+// Usage: /api/bill-text?number=HF12 (optional &state=MN&year=2025)
+// Every call spends LegiScan queries, so it takes the same auth as sync-bills
+// (GET only); the published pages get it from the house/senate text-changes fields.
+
+import { getTextChanges } from '../lib/bill-text.js';
+import { requireAuth } from '../lib/auth.js';
+import { getStore } from '../lib/store.js';
+import { requireConfig } from '../lib/config.js';
+import { createLegiScanClient } from '../lib/legiscan.js';
+import { DEFAULT_STATE, getStateProfile, normalizeBillNumber, legiscanNumbers } from '../lib/states.js';
+
+export default async function handler(req, res) {
+  if (!requireAuth(req, res, { methods: ['GET'], cronGet: false })) return;
+
+  let legiscan = null, store = null;
+  try {
+    const config = requireConfig(res, ['legiscanApiKey']);
+    if (!config) return;
+    store = getStore();
+    legiscan = createLegiScanClient({ apiKey: config.legiscanApiKey, store });
+
+    const { number, state = DEFAULT_STATE, year } = req.query;
+    const profile = getStateProfile(state);
+    if (!profile) {
+      return res.status(400).json({ success: false, error: 'Unsupported state', message: `No profile for state "${state}"` });
+    }
+    if (!number) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required parameter',
+        message: 'Please provide "number" (e.g. HF12)',
+        examples: ['/api/bill-text?number=HF12', '/api/bill-text?number=SF916&year=2025']
+      });
+    }
+
+    const billNumber = normalizeBillNumber(number, profile);
+    let billData = {};
+    for (const searchNumber of legiscanNumbers(billNumber, profile)) {
+      billData = await legiscan.getBill({ state: profile.code, bill: searchNumber, year });
+      if (billData.status === 'OK' && billData.bill) break;
+    }
+
+    if (billData.status !== 'OK' || !billData.bill) {
+      return res.status(404).json({
+        success: false,
+        billNumber,
+        error: billData.alert?.message || `Bill ${billNumber} not found`
+      });
+    }
+
+    const bill = billData.bill;
+    const { versions, changes, sinceIntroduced, errors } = await getTextChanges(bill, { legiscan, store });
+
+    res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      bill: {
+        bill_id: bill.bill_id,
+        bill_number: bill.bill_number,
+        title: bill.title
+      },
+      // Same shape as /api/get-bill
+      texts: bill.texts ? bill.texts.map(text => ({
+        doc_id: text.doc_id,
+        type: text.type ?? text.type_text,
+        date: text.date,
+        mime: text.mime
+      })) : [],
+      versions,
+      changes,
+      sinceIntroduced,
+      errors: errors.length > 0 ? errors : undefined
+    });
+
+  } catch (error) {
+    console.error('Bill text lookup failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Bill text lookup failed. Check server logs for details.',
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    await legiscan?.flushUsage();
+    await store?.flush();
+  }
+}
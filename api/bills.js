@@ -0,0 +1,63 @@
+// /api/bills.js
+// Tracked bills for front-end widgets: the live Webflow items merged with what
+// the last sync learned from LegiScan, in one shape for state and federal bills
+// (see lib/bills.js), with each bill's page on the site when SITE_URL is set.
+// Nothing here calls LegiScan. The sync's data is read from the shared store
+// (SYNC_STORE=redis in production, see lib/store.js).
+// Usage: /api/bills?jurisdiction=MN&year=2025&status=Active&chamber=house
+//        filters: bill (slug or number), jurisdiction, year, status, stage, chamber,
+//                 sponsor (name or LegiScan people id), subject (LegiScan subject or
+//                 site topic), updatedSince, q
+//        &sort=-updated (updated, lastAction, year, number, title; "-" for descending)
+//        &page=1&perPage=25 (max 100); &history=0 leaves out each chamber's full history
+// Responses carry an ETag and are cacheable for a minute (five at the CDN).
+
+import { requireConfig } from '../lib/config.js';
+import { createWebflowClient } from '../lib/webflow.js';
+import { getStore } from '../lib/store.js';
+import { loadBillSource, normalizeBills, filterBills, sortBills, paginate, sendCached } from '../lib/bills.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, OPTIONS');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const config = requireConfig(res, ['webflowToken', 'collectionId', 'siteUrl']);
+    if (!config) return;
+    const webflow = createWebflowClient({ token: config.webflowToken, collectionId: config.collectionId });
+
+    const source = await loadBillSource({ webflow, collectionId: config.collectionId, store: getStore() });
+    if (!source.mapping.ok) {
+      return res.status(500).json({ success: false, error: 'Field mapping does not match the collection schema' });
+    }
+
+    const query = req.query || {};
+    const matching = sortBills(filterBills(normalizeBills(source, { siteUrl: config.siteUrl }), query), query.sort);
+    const { bills, ...pageInfo } = paginate(matching, query);
+    const withHistory = !['0', 'false'].includes(String(query.history ?? '').toLowerCase());
+
+    return sendCached(req, res, {
+      success: true,
+      ...pageInfo,
+      bills: withHistory ? bills : bills.map(b => ({
+        ...b,
+        house: b.house && { ...b.house, history: undefined },
+        senate: b.senate && { ...b.senate, history: undefined }
+      }))
+    });
+
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,50 @@
+// /api/calendar.js
+// iCalendar feed of the hearings and floor sessions LegiScan has scheduled for
+// the tracked bills, each event linking to the bill's page on the site.
+// Usage: subscribe to /api/calendar (webcal://.../api/calendar works in most apps)
+//        per bill: ?bill=HF12; per subject: ?subject=Education
+//        the other /api/bills filters work too (jurisdiction, year, status, sponsor, ...)
+//        &upcoming=1 leaves out events before today
+
+import { requireConfig } from '../lib/config.js';
+import { createWebflowClient } from '../lib/webflow.js';
+import { getStore } from '../lib/store.js';
+import { loadBillSource, normalizeBills, filterBills, sendCached } from '../lib/bills.js';
+import { calendarEvents, buildICalendar } from '../lib/feeds.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const config = requireConfig(res, ['webflowToken', 'collectionId', 'siteUrl']);
+    if (!config) return;
+    const webflow = createWebflowClient({ token: config.webflowToken, collectionId: config.collectionId });
+
+    const source = await loadBillSource({ webflow, collectionId: config.collectionId, store: getStore() });
+    if (!source.mapping.ok) {
+      return res.status(500).json({ success: false, error: 'Field mapping does not match the collection schema' });
+    }
+
+    const query = req.query || {};
+    const bills = filterBills(normalizeBills(source, { siteUrl: config.siteUrl }), query);
+    let events = calendarEvents(bills);
+    if (['1', 'true'].includes(String(query.upcoming || '').toLowerCase())) {
+      const today = new Date().toISOString().slice(0, 10);
+      events = events.filter(e => e.date >= today);
+    }
+
+    const name = query.bill && bills.length === 1
+      ? `${bills[0].house?.number || bills[0].senate?.number}: ${bills[0].title}`
+      : query.subject ? `Bill hearings: ${query.subject}` : 'Bill hearings';
+    const host = config.siteUrl ? new URL(config.siteUrl).host : req.headers?.host;
+    return sendCached(req, res, buildICalendar({ name, events, host }), {
+      contentType: 'text/calendar; charset=utf-8'
+    });
+
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
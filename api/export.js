@@ -0,0 +1,48 @@
+// /api/export.js
+// Spreadsheet of every tracked bill: numbers, title, per-chamber status and
+// stage, last action, primary sponsors, subjects, text links and the page URL.
+// Usage: /api/export (CSV) or /api/export?format=xlsx
+//        takes the /api/bills filters and sort (jurisdiction, year, status, sponsor,
+//        subject, updatedSince, ...; default sort is by bill number)
+
+import { requireConfig } from '../lib/config.js';
+import { createWebflowClient } from '../lib/webflow.js';
+import { getStore } from '../lib/store.js';
+import { loadBillSource, normalizeBills, filterBills, sortBills, sendCached } from '../lib/bills.js';
+import { EXPORT_COLUMNS, exportRows, toCsv } from '../lib/export.js';
+import { buildXlsx } from '../lib/xlsx.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const config = requireConfig(res, ['webflowToken', 'collectionId', 'siteUrl']);
+    if (!config) return;
+    const webflow = createWebflowClient({ token: config.webflowToken, collectionId: config.collectionId });
+
+    const source = await loadBillSource({ webflow, collectionId: config.collectionId, store: getStore() });
+    if (!source.mapping.ok) {
+      return res.status(500).json({ success: false, error: 'Field mapping does not match the collection schema' });
+    }
+
+    const query = req.query || {};
+    const bills = sortBills(filterBills(normalizeBills(source, { siteUrl: config.siteUrl }), query), query.sort || 'number');
+    const rows = exportRows(bills);
+    const name = `tracked-bills-${new Date().toISOString().slice(0, 10)}`;
+
+    if (String(query.format || '').toLowerCase() === 'xlsx') {
+      res.setHeader('Content-Disposition', `attachment; filename="${name}.xlsx"`);
+      return sendCached(req, res, buildXlsx({ sheetName: 'Tracked bills', columns: EXPORT_COLUMNS, rows }), {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      });
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.csv"`);
+    return sendCached(req, res, toCsv(EXPORT_COLUMNS, rows), { contentType: 'text/csv; charset=utf-8' });
+
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
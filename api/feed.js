@@ -0,0 +1,54 @@
+// /api/feed.js
+// Atom (default) or RSS feed of recent actions on the tracked bills, each entry
+// linking to the bill's page on the site (SITE_URL + the item's slug).
+// Usage: /api/feed, /api/feed?format=rss
+//        per bill: ?bill=HF12 (number or slug); per subject: ?subject=Education
+//        the other /api/bills filters work too (jurisdiction, year, status, sponsor, ...)
+//        &limit=50 (max 200)
+
+import { requireConfig } from '../lib/config.js';
+import { createWebflowClient } from '../lib/webflow.js';
+import { getStore } from '../lib/store.js';
+import { loadBillSource, normalizeBills, filterBills, sendCached } from '../lib/bills.js';
+import { activityEntries, buildAtom, buildRss } from '../lib/feeds.js';
+
+const MAX_ENTRIES = 200;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const config = requireConfig(res, ['webflowToken', 'collectionId', 'siteUrl']);
+    if (!config) return;
+    const webflow = createWebflowClient({ token: config.webflowToken, collectionId: config.collectionId });
+
+    const source = await loadBillSource({ webflow, collectionId: config.collectionId, store: getStore() });
+    if (!source.mapping.ok) {
+      return res.status(500).json({ success: false, error: 'Field mapping does not match the collection schema' });
+    }
+
+    const query = req.query || {};
+    const bills = filterBills(normalizeBills(source, { siteUrl: config.siteUrl }), query);
+    const limit = Math.min(MAX_ENTRIES, Math.max(1, Number(query.limit) || 50));
+    const entries = activityEntries(bills, { limit });
+
+    const single = query.bill && bills.length === 1 ? bills[0] : null;
+    const title = single
+      ? `${[single.house?.number, single.senate?.number].filter(Boolean).join(' / ')}: ${single.title}`
+      : query.subject ? `Bill activity: ${query.subject}` : 'Bill activity';
+    const selfUrl = `https://${req.headers?.host || 'localhost'}${req.url || '/api/feed'}`;
+    const siteUrl = single?.pageUrl || config.siteUrl || null;
+
+    const rss = String(query.format || '').toLowerCase() === 'rss';
+    const feed = (rss ? buildRss : buildAtom)({ title, selfUrl, siteUrl, entries });
+    return sendCached(req, res, feed, {
+      contentType: rss ? 'application/rss+xml; charset=utf-8' : 'application/atom+xml; charset=utf-8'
+    });
+
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -1,6 +1,11 @@
 // /api/get-bill.js
 // Get specific bill data by bill number (e.g., HF12, SF916)
 // Usage: /api/get-bill?number=HF12 or /api/get-bill?numbers=HF12,SF916
+//        add &state=WI (AB12), &state=US (HR1) etc. for other jurisdictions; defaults to MN
+
+import { DEFAULT_STATE, getStateProfile, normalizeBillNumber, legiscanNumbers } from '../lib/states.js';
+import { requireConfig } from '../lib/config.js';
+import { createLegiScanClient } from '../lib/legiscan.js';
 
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -12,17 +17,28 @@ export default async function handler(req, res) {
     return;
   }
 
+  let legiscan = null;
   try {
-    const API_KEY = process.env.LEGISCAN_API_KEY || 'bcbd43b211523761a89cfc1622415e7e';
-    
+    const config = requireConfig(res, ['legiscanApiKey']);
+    if (!config) return;
+    legiscan = createLegiScanClient({ apiKey: config.legiscanApiKey });
+
     // Get bill numbers from query parameters
-    const { number, numbers } = req.query;
+    const { number, numbers, state = DEFAULT_STATE } = req.query;
+    const profile = getStateProfile(state);
+    if (!profile) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported state',
+        message: `No profile for state "${state}"`
+      });
+    }
     
     let billNumbers = [];
     if (number) {
-      billNumbers = [number];
+      billNumbers = [normalizeBillNumber(number, profile)];
     } else if (numbers) {
-      billNumbers = numbers.split(',').map(n => n.trim());
+      billNumbers = numbers.split(',').map(n => normalizeBillNumber(n.trim(), profile));
     } else {
       return res.status(400).json({
         success: false,
@@ -37,6 +53,7 @@ export default async function handler(req, res) {
 
     const results = {
       timestamp: new Date().toISOString(),
+      state: profile.code,
       requestedBills: billNumbers,
       bills: [],
       errors: []
@@ -45,12 +62,13 @@ export default async function handler(req, res) {
     // Helper function to get bill details by number
     async function getBillByNumber(billNumber) {
       try {
-        // First, search for the bill to get its ID
-        console.log(`Searching for bill: ${billNumber}`);
-        const searchResponse = await fetch(
-          `https://api.legiscan.com/?key=${API_KEY}&op=getBill&state=MN&bill=${billNumber}`
-        );
-        const billData = await searchResponse.json();
+        // Try each LegiScan spelling of the number (e.g. US: HR1 -> HB1, HR1)
+        console.log(`Searching for bill: ${profile.code} ${billNumber}`);
+        let billData = {};
+        for (const searchNumber of legiscanNumbers(billNumber, profile)) {
+          billData = await legiscan.getBill({ state: profile.code, bill: searchNumber });
+          if (billData.status === 'OK' && billData.bill) break;
+        }
 
         if (billData.status === 'OK' && billData.bill) {
           const bill = billData.bill;
@@ -156,6 +174,7 @@ export default async function handler(req, res) {
     res.status(200).json({
       success: results.bills.length > 0,
       timestamp: results.timestamp,
+      state: results.state,
       summary: {
         requested: billNumbers.length,
         found: results.bills.length,
@@ -173,5 +192,7 @@ export default async function handler(req, res) {
       message: 'Bill lookup failed. Check server logs for details.',
       timestamp: new Date().toISOString()
     });
+  } finally {
+    await legiscan?.flushUsage();
   }
 }
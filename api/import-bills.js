@@ -0,0 +1,283 @@
+// /api/import-bills.js
+// Seeds and updates the Bills collection from the session's priority
+// spreadsheet: one row per bill with its number(s), year, and our position,
+// priority and internal notes.
+// Usage: POST /api/import-bills (same auth as sync-bills) with the CSV as the
+//        request body (text/csv or text/plain) or as { "csv": "..." } in JSON
+//        &state=MN &year=2025     defaults for rows without a State / Year column
+//        &dryRun=1                report what would change without writing
+// Recognized headers (any order, case-insensitive): Bill or Number (either
+// chamber), House number, Senate number, Year, State / Jurisdiction, Title,
+// Position, Priority, Notes. Other columns are ignored and listed in the response.
+// Numbers are normalized the way sync-bills does; rows are matched to items by
+// state, number (either chamber) and legislative year. Matches get only the
+// editorial fields (position, priority, notes; blank cells leave them as they
+// are) and are republished if live, unless the item already had unpublished
+// changes: publishing would put those live too, so the update is left staged
+// and the row says so (notPublished). Rows with no match become draft items the
+// next sync fills in. Every row is reported as created, updated, unchanged or
+// rejected with the reason.
+
+import { requireAuth } from "../lib/auth.js";
+import { requireConfig } from "../lib/config.js";
+import { createWebflowClient } from "../lib/webflow.js";
+import { loadFieldMap, resolveFieldMap, itemYear } from "../lib/field-map.js";
+import {
+  DEFAULT_STATE, getStateProfile, stateFromJurisdictionName, normalizeBillNumber, normalizeNumbers,
+  chamberOfNumber, inferStateFromNumbers, parseLegislativeYear,
+} from "../lib/states.js";
+import { billSlug } from "../lib/render.js";
+import { EDITORIAL_ATTRIBUTES, readImportRows, editorialValue, sameEditorialValue } from "../lib/import.js";
+
+const MAX_ROWS = 1000;
+
+// A live item edited since its last publish (by an editor, or a sync that
+// couldn't publish) has changes waiting that a publish would push live
+const hasStagedChanges = (item) =>
+  !item.lastPublished || (item.lastUpdated && Date.parse(item.lastUpdated) > Date.parse(item.lastPublished));
+
+// "2025" -> "2025", "2025 Special" -> "2025s1"; "" when there's no year
+function yearKey(value) {
+  const { year, special, specialNumber } = parseLegislativeYear(value);
+  if (!year) return "";
+  return special ? `${year}s${specialNumber || 1}` : String(year);
+}
+
+async function readBody(req) {
+  const body = req.body;
+  if (typeof body === "string") return body;
+  if (Buffer.isBuffer(body)) return body.toString("utf8");
+  if (body && typeof body === "object") return typeof body.csv === "string" ? body.csv : "";
+  if (typeof req[Symbol.asyncIterator] !== "function") return "";
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+export default async function handler(req, res) {
+  if (!requireAuth(req, res, { methods: ["POST"], cronGet: false })) return;
+
+  try {
+    const config = requireConfig(res, ["webflowToken", "collectionId"]);
+    if (!config) return;
+
+    const query = req.query || {};
+    const flag = (v) => ["1", "true"].includes(String(v || "").toLowerCase());
+    const dryRun = flag(query.dryRun);
+    const defaultProfile = getStateProfile(query.state || DEFAULT_STATE);
+    if (!defaultProfile) {
+      return res.status(400).json({ success: false, error: "Unsupported state", message: `No profile for state "${query.state}"` });
+    }
+    const defaultYear = query.year ? String(query.year).trim() : "";
+
+    let sheet;
+    try {
+      sheet = readImportRows(await readBody(req));
+    } catch (err) {
+      return res.status(400).json({ success: false, error: "Invalid CSV", message: err.message });
+    }
+    if (sheet.rows.length > MAX_ROWS) {
+      return res.status(400).json({ success: false, error: "Too many rows", message: `At most ${MAX_ROWS} rows per import; got ${sheet.rows.length}` });
+    }
+
+    const webflow = createWebflowClient({ token: config.webflowToken, collectionId: config.collectionId });
+    const map = loadFieldMap();
+    const collection = await webflow.getCollection();
+    const mapping = resolveFieldMap(map, collection);
+    if (!mapping.ok) {
+      return res.status(400).json({
+        success: false,
+        error: "Field mapping does not match the collection schema",
+        mappingSource: map.source,
+        problems: mapping.problems,
+      });
+    }
+    const F = mapping.fields;
+    const bySlug = Object.fromEntries((collection.fields || []).map(f => [f.slug, f]));
+
+    // Values we'd have nowhere to put
+    const unmapped = EDITORIAL_ATTRIBUTES.filter(attr => !F[attr] && sheet.rows.some(r => r.values[attr]));
+    if (unmapped.length) {
+      return res.status(400).json({
+        success: false,
+        error: "The collection has no field for some columns",
+        mappingSource: map.source,
+        columns: unmapped.map(attr => ({ column: attr, field: map.fields[attr] || null })),
+      });
+    }
+
+    // --- Option ids ------------------------------------------------------------
+    const jurisdictionIdOf = (state) => Object.entries(mapping.jurisdictionByOptionId).find(([, code]) => code === state)?.[0] || null;
+    const yearField = bySlug[F.year];
+    const yearOptions = yearField?.type === "Option" ? yearField.validations?.options || [] : [];
+    const yearValue = (value) => {
+      if (!yearField) return null;
+      if (yearField.type === "Number") return Number(parseLegislativeYear(value).year);
+      if (yearField.type === "Option") return yearOptions.find(o => o.name.toLowerCase() === value.toLowerCase())?.id;
+      return value;
+    };
+
+    // --- Bills already in the collection ---------------------------------------
+    // "MN|HF12|2025" -> items carrying that number in that year ("MN|HF12|" for items without a year)
+    const index = new Map();
+    const unindexed = []; // items rows can't be matched against
+    const { items } = await webflow.listItems();
+    items.forEach(item => {
+      const fd = item.fieldData || {};
+      const rawHouse = fd[F.houseNumber] || "", rawSenate = fd[F.senateNumber] || "";
+      const jurisdictionId = fd[F.jurisdiction];
+      if (jurisdictionId && mapping.jurisdictionNames[jurisdictionId] && !mapping.jurisdictionByOptionId[jurisdictionId]) {
+        unindexed.push({ id: item.id, reason: `Unsupported jurisdiction: ${mapping.jurisdictionNames[jurisdictionId]}` });
+        return;
+      }
+      const inferred = mapping.jurisdictionByOptionId[jurisdictionId] ? null : inferStateFromNumbers(rawHouse, rawSenate);
+      const itemState = mapping.jurisdictionByOptionId[jurisdictionId] || inferred.state;
+      if (!itemState) {
+        unindexed.push({ id: item.id, reason: inferred.error });
+        return;
+      }
+      const { houseNumber, senateNumber } = normalizeNumbers(rawHouse, rawSenate, getStateProfile(itemState));
+      const year = yearKey(itemYear(mapping, fd));
+      [houseNumber, senateNumber].filter(Boolean).forEach(number => {
+        const key = `${itemState}|${number}|${year}`;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(item);
+      });
+    });
+    const matchesFor = (state, number, year) => index.get(`${state}|${number}|${year}`) || index.get(`${state}|${number}|`) || [];
+
+    // --- Rows --------------------------------------------------------------------
+    const report = [], creates = [], updates = [];
+    const claimed = new Map(); // item id or new bill -> line of the row that took it
+    const attrOfSlug = Object.fromEntries(Object.entries(F).filter(([, slug]) => slug).map(([attr, slug]) => [slug, attr]));
+
+    for (const { line, values: v } of sheet.rows) {
+      const entry = { line };
+      report.push(entry);
+      const reject = (reason) => Object.assign(entry, { action: "rejected", reason });
+
+      const profile = v.state ? getStateProfile(stateFromJurisdictionName(v.state)) : defaultProfile;
+      if (!profile) { reject(`Unknown state "${v.state}"`); continue; }
+      const state = profile.code;
+
+      // A number in the Bill column goes to its chamber, unless that chamber's column is filled too
+      let { houseNumber, senateNumber } = normalizeNumbers(v.house, v.senate, profile);
+      if (v.number) {
+        const number = normalizeBillNumber(v.number, profile);
+        const chamber = chamberOfNumber(number, profile);
+        if (!chamber) { reject(`"${v.number}" is not a house or senate bill number`); continue; }
+        const current = chamber === "house" ? houseNumber : senateNumber;
+        if (current && current !== number) { reject(`Bill ${number} conflicts with ${chamber} number ${current}`); continue; }
+        if (chamber === "house") houseNumber = number; else senateNumber = number;
+      }
+      entry.number = [houseNumber, senateNumber].filter(Boolean).join(" / ");
+      if (!houseNumber && !senateNumber) { reject("No bill number"); continue; }
+      const badNumber = [["house", houseNumber], ["senate", senateNumber]].find(([c, n]) => n && chamberOfNumber(n, profile) !== c);
+      if (badNumber) { reject(`"${badNumber[1]}" is not a ${badNumber[0]} bill number`); continue; }
+
+      const yearText = v.year || defaultYear;
+      const year = yearKey(yearText);
+      entry.year = yearText || undefined;
+      if (!year) { reject(yearText ? `Invalid year "${yearText}"` : "No year (add a Year column or ?year=)"); continue; }
+
+      const fieldData = {}, problems = [];
+      EDITORIAL_ATTRIBUTES.forEach(attr => {
+        if (!v[attr]) return;
+        const r = editorialValue(attr, bySlug[F[attr]], v[attr]);
+        if (r.error) problems.push(r.error);
+        else fieldData[F[attr]] = r.value;
+      });
+      if (problems.length) { reject(problems.join("; ")); continue; }
+
+      const matches = new Map();
+      [houseNumber, senateNumber].filter(Boolean).forEach(n => matchesFor(state, n, year).forEach(it => matches.set(it.id, it)));
+      if (matches.size > 1) { reject(`Matches ${matches.size} items (${[...matches.keys()].join(", ")})`); continue; }
+
+      const keys = matches.size ? [...matches.keys()] : [houseNumber, senateNumber].filter(Boolean).map(n => `${state}|${n}|${year}`);
+      const earlier = keys.map(k => claimed.get(k)).find(Boolean);
+      if (earlier) { reject(`Same bill as line ${earlier}`); continue; }
+      keys.forEach(k => claimed.set(k, line));
+
+      // Existing item: editorial fields only
+      if (matches.size) {
+        const item = [...matches.values()][0];
+        entry.itemId = item.id;
+        const changed = Object.keys(fieldData).filter(slug => !sameEditorialValue(bySlug[slug], item.fieldData?.[slug], fieldData[slug]));
+        if (!changed.length) { entry.action = "unchanged"; continue; }
+        entry.action = dryRun ? "wouldUpdate" : "updated";
+        entry.changes = changed.map(slug => attrOfSlug[slug] || slug);
+        updates.push({ entry, live: !item.isDraft, staged: hasStagedChanges(item), item: { id: item.id, fieldData: Object.fromEntries(changed.map(slug => [slug, fieldData[slug]])) } });
+        continue;
+      }
+
+      // New draft item
+      const yearOption = yearValue(yearText);
+      if (yearOption === undefined) { reject(`No ${F.year} option for "${yearText}"`); continue; }
+      const title = v.title || entry.number;
+      const put = (attr, value) => { if (F[attr] && value !== undefined && value !== null) fieldData[F[attr]] = value; };
+      put("title", title);
+      put("houseNumber", houseNumber || undefined);
+      put("senateNumber", senateNumber || undefined);
+      put("year", yearOption);
+      put("jurisdiction", jurisdictionIdOf(state));
+      const slug = billSlug({ legislativeYear: yearText, houseNumber, senateNumber, title });
+      if (slug) fieldData.slug = slug;
+      entry.action = dryRun ? "wouldCreate" : "created";
+      entry.title = title;
+      creates.push({ entry, item: { isDraft: true, isArchived: false, fieldData } });
+    }
+
+    // --- Write ---------------------------------------------------------------------
+    const errors = [];
+    const fail = (entry, reason) => Object.assign(entry, { action: "failed", reason });
+    if (!dryRun && creates.length) {
+      const result = await webflow.createItems(creates.map(c => c.item));
+      const bySlugCreated = new Map(result.ok.map(it => [it.fieldData?.slug, it.id]));
+      const reasons = [...new Set(result.failed.map(f => f.error))].join("; ") || "Item was not created";
+      creates.forEach(({ entry, item }) => {
+        if (bySlugCreated.has(item.fieldData.slug)) entry.itemId = bySlugCreated.get(item.fieldData.slug);
+        else fail(entry, reasons);
+      });
+      result.failed.forEach(f => errors.push({ error: f.error, status: f.status, details: f.details }));
+    }
+    if (!dryRun && updates.length) {
+      const result = await webflow.updateItems(updates.map(u => u.item));
+      const failedIds = new Map(result.failed.map(f => [f.id, f.error]));
+      updates.forEach(({ entry, item }) => { if (failedIds.has(item.id)) fail(entry, failedIds.get(item.id)); });
+      result.failed.forEach(f => errors.push({ error: f.error, status: f.status, details: f.details, affectedItems: [f.id] }));
+
+      const live = updates.filter(u => u.live && !failedIds.has(u.item.id));
+      live.filter(u => u.staged).forEach(({ entry }) => {
+        entry.notPublished = "The item had other unpublished changes; publish it in Webflow once they've been reviewed";
+      });
+      const toPublish = live.filter(u => !u.staged).map(u => u.item.id);
+      const { failed } = await webflow.publishItems(toPublish);
+      failed.forEach(f => errors.push({ error: `Publish failed: ${f.error}`, details: f.details, affectedItems: f.ids }));
+    }
+
+    const count = (...actions) => report.filter(r => actions.includes(r.action)).length;
+    return res.status(200).json({
+      success: errors.length === 0,
+      dryRun: dryRun || undefined,
+      timestamp: new Date().toISOString(),
+      summary: {
+        rows: report.length,
+        [dryRun ? "wouldCreate" : "created"]: count("created", "wouldCreate"),
+        [dryRun ? "wouldUpdate" : "updated"]: count("updated", "wouldUpdate"),
+        unchanged: count("unchanged"),
+        rejected: count("rejected"),
+        failed: count("failed"),
+        notPublished: report.filter(r => r.notPublished).length,
+        errors: errors.length,
+      },
+      ignoredColumns: sheet.ignored.length ? sheet.ignored : undefined,
+      // Existing items with a jurisdiction we have no profile for, or none set and a number several states
+      // use; rows for those bills may create duplicates
+      unmatchedItems: unindexed.length ? unindexed : undefined,
+      rows: report,
+      errors: errors.length ? errors : undefined,
+    });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message, message: "Import failed" });
+  }
+}
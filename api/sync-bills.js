@@ -1,483 +1,689 @@
 // /api/sync-bills.js
+// Usage: POST /api/sync-bills with `Authorization: Bearer $SYNC_SECRET` or a signed
+//        request (see lib/auth.js); Vercel Cron's GET with CRON_SECRET also works.
+//        Add ?force=1 to re-sync bills that are unchanged upstream,
+//        ?offset=&limit= to process only a window of the collection,
+//        ?batch=N to process N bills per call and resume from a saved cursor; ?reset=1 restarts,
+//        ?dryRun=1 to report per-field diffs without writing or publishing anything,
+//        ?voteDetail=1 to list how each legislator voted in the votes fields)
+// Bill transitions (status, new actions, votes, text versions) are sent to the
+// targets in ALERTS_CONFIG / ALERTS_CONFIG_FILE; see lib/alerts.js.
+// With WEBFLOW_LEGISLATORS_COLLECTION_ID set, the sponsor reference fields point
+// at legislator items (see /api/sync-legislators); missing legislators are added.
+// Topic and committee fields are filled from LegiScan subjects and committee
+// referrals through the alias table in TOPICS_CONFIG / TOPICS_CONFIG_FILE
+// (see lib/topics.js); topics are added to those already on the item, never removed.
+// Unmapped names are listed in the response and kept for /api/unmapped-topics.
+// Each synced item's bill data is also saved for /api/bills (see lib/bills.js).
+// Draft items are updated but never published; that stays an editor's call.
+// Timeline and sponsor markup comes from the templates in RENDER_TEMPLATES /
+// RENDER_TEMPLATES_FILE (see lib/render.js); the *-json fields, when the
+// collection has them, get the same data as JSON.
+import { getStore } from "../lib/store.js";
+import { requireAuth } from "../lib/auth.js";
+import { requireConfig } from "../lib/config.js";
+import { createLegiScanClient } from "../lib/legiscan.js";
+import { createWebflowClient } from "../lib/webflow.js";
+import { loadFieldMap, resolveFieldMap, itemYear } from "../lib/field-map.js";
+import { pastSessionCutoff } from "../lib/status.js";
+import { loadAlertConfig, checkBill, dispatchAlerts } from "../lib/alerts.js";
+import { createLegislatorDirectory } from "../lib/legislators.js";
+import { loadTopicConfig, loadTaxonomy, recordUnmapped } from "../lib/topics.js";
+import { createBillFieldBuilder } from "../lib/bill-fields.js";
+import { buildBillRecord, loadBillRecords, saveBillRecords } from "../lib/bills.js";
+import {
+  getStateProfile, normalizeNumbers, inferStateFromNumbers,
+  legiscanNumbers, parseLegislativeYear, findCompanion,
+} from "../lib/states.js";
+import { loadRenderTemplates } from "../lib/render.js";
+
 export default async function handler(req, res) {
-  try {
-    const WEBFLOW_TOKEN = process.env.WEBFLOW_API_TOKEN;
-    const LEGISCAN_API_KEY = process.env.LEGISCAN_API_KEY;
-    const COLLECTION_ID = process.env.WEBFLOW_BILLS_COLLECTION_ID; // required
+  if (!requireAuth(req, res, { methods: ["POST"], cronGet: true })) return;
 
-    if (!WEBFLOW_TOKEN || !LEGISCAN_API_KEY || !COLLECTION_ID) {
-      return res.status(400).json({ success: false, error: "Missing environment variables" });
-    }
+  let legiscan = null, store = null;
+  try {
+    const config = requireConfig(res, ["webflowToken", "legiscanApiKey", "collectionId", "legislatorsCollectionId"]);
+    if (!config) return;
+    const COLLECTION_ID = config.collectionId;
 
     const results = {
       timestamp: new Date().toISOString(),
       processed: 0,
       updated: 0,
       skipped: 0,
+      unchangedUpstream: 0,
+      unchanged: 0,
       skipReasons: [],
+      companions: [],
+      conflicts: [],
+      alerts: { transitions: 0, deliveries: [] },
       errors: [],
       bills: []
     };
     const toPublish = [];
-    const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-
-    // --- Fetch collection schema and build option maps dynamically
-    async function getOptionIdMaps() {
-      const u = `https://api.webflow.com/v2/collections/${COLLECTION_ID}`;
-      const r = await fetch(u, { headers: { Authorization: `Bearer ${WEBFLOW_TOKEN}` } });
-      if (!r.ok) throw new Error(`Failed to load collection schema: ${r.status}`);
-      const col = await r.json();
-
-      const bySlug = Object.fromEntries((col.fields || []).map(f => [f.slug, f]));
-
-      function makeMap(slug, names) {
-        const f = bySlug[slug];
-        if (!f) throw new Error(`Field not found: ${slug}`);
-        if (f.type !== "Option") throw new Error(`Field ${slug} is not Option type`);
-        const opts = f.validations?.options || [];
-        const map = {};
-        names.forEach(name => {
-          const opt = opts.find(o => o.name.toLowerCase() === name.toLowerCase());
-          if (!opt) throw new Error(`Option "${name}" not found on ${slug}`);
-          map[name] = opt.id;
-        });
-        return map;
-      }
-
-      return {
-        houseStatusIds: makeMap("house-file-status", ["Active","Tabled","Failed","Passed"]),
-        senateStatusIds: makeMap("senate-file-status", ["Active","Tabled","Failed","Passed"]),
-        jurisdictionIds: makeMap("jurisdiction", ["Minnesota","Federal"]), // not used below
-      };
+    const flag = (v) => ["1", "true"].includes(String(v || "").toLowerCase());
+    const dryRun = flag(req.query?.dryRun);
+    const force = flag(req.query?.force) || dryRun; // a dry run always looks at every bill
+    const voteDetail = flag(req.query?.voteDetail ?? process.env.SYNC_VOTE_DETAIL);
+    store = getStore();
+    legiscan = createLegiScanClient({ apiKey: config.legiscanApiKey, store });
+    const webflow = createWebflowClient({ token: config.webflowToken, collectionId: COLLECTION_ID });
+    const pendingHashes = new Map(); // itemId -> hash record, saved once the item is live
+    const pendingAlerts = []; // { key, snapshot, transitions }, saved once dispatched
+    const pendingUpdates = []; // { id, fieldData, summary }, sent in bulk after the loop
+    const pendingRecords = new Map(); // itemId -> bill record for /api/bills
+    const storedRecords = await loadBillRecords(store, COLLECTION_ID);
+
+    // --- Fetch collection schema and resolve the field mapping against it
+    async function loadFieldMapping() {
+      const map = loadFieldMap();
+      const collection = await webflow.getCollection();
+      return { source: map.source, collection, ...resolveFieldMap(map, collection) };
     }
 
-    // --- Webflow Option IDs (Jurisdiction) - static → state code
-    const JURISDICTION_MAP = {
-      "3b566a1d5376e736be044c288bb44017": "MN", // Minnesota
-      "87a300e03b5ad785b240294477aaaf35": "US", // Federal
-    };
-
     // --- Helpers ------------------------------------------------------------
-    function computeStatusKey(billInfo, { state, legislativeYear }) {
-      const code = billInfo.status;
-      if (code === 4) return "Passed";
-      if (code === 5 || code === 6) return "Failed";
-
-      const year = Number(legislativeYear);
-      const cutoff = state === "MN" && year ? new Date(year, 5, 1) : null; // Jun 1
-      const la = (billInfo.last_action || "").toLowerCase();
-      const looksDead = /tabled|laid on the? table|postponed|indefinitely|sine die|died|withdrawn|stricken/.test(la);
-
-      if (looksDead) return "Tabled";
-      if (cutoff && new Date() >= cutoff && (code === 1 || code === 2 || code === 3)) return "Tabled";
-      return "Active";
-    }
+    // `changeHash` keeps the client from answering with a cached copy of an older version
+    async function fetchLegiScanBill({ state, billNumber, year, billId, changeHash }) {
+      // Some jurisdictions number bills differently on LegiScan (US: H.R. 1 -> HB1)
+      const candidates = legiscanNumbers(billNumber, getStateProfile(state));
+
+      // Resolved on an earlier run: fetch by id, as long as it still carries this number
+      if (billId) {
+        const data = await legiscan.getBill({ id: billId, version: changeHash });
+        if (data.status === "OK" && data.bill && candidates.includes(String(data.bill.bill_number).toUpperCase())) return data.bill;
+      }
 
-    const isPlaceholderName = (name, billNum) => {
-      const n = (name || "").trim();
-      return !n
-        || (billNum && n.toUpperCase() === billNum.toUpperCase())
-        || /^[HS]F[-\s]?\d+$/i.test(n)
-        || /^(untitled|tbd|placeholder)$/i.test(n);
-    };
+      let data = null;
+      for (const searchNumber of candidates) {
+        try {
+          data = await legiscan.getBill({ state, bill: searchNumber, year, version: changeHash });
+        } catch (err) {
+          if (searchNumber === candidates[candidates.length - 1]) throw err;
+          continue;
+        }
+        if (data.status === "OK" && data.bill) return data.bill;
+      }
+      throw new Error(data?.alert?.message || `Bill not found: ${candidates.join(" / ")}`);
+    }
 
-    function normalizeNumbers(rawHouse, rawSenate) {
-      const norm = v => (v || "").toUpperCase().replace(/[\s-]+/g, "");
-      let h = norm(rawHouse), s = norm(rawSenate);
-      const corrections = {};
-      if (!h && /^HF\d+$/.test(s)) { h = s; s = ""; corrections["house-file-number"] = h; corrections["senate-file-number"] = ""; }
-      if (!s && /^SF\d+$/.test(h)) { s = h; h = ""; corrections["senate-file-number"] = s; corrections["house-file-number"] = ""; }
-      return { houseNumber: h || "", senateNumber: s || "", corrections };
+    // --- Sessions and master lists ---------------------------------------------
+    // Biennial sessions reuse bill numbers, so numbers are resolved to a bill_id
+    // within the session that covers the item's year (special sessions included).
+    const sessionLists = new Map(); // state -> Promise<session[]>
+    const masterLists = new Map();  // session_id -> Promise<{ byNumber, byId } | null>
+
+    function getSessions(state) {
+      if (!sessionLists.has(state)) {
+        sessionLists.set(state, (async () => {
+          const data = await legiscan.getSessionList(state);
+          return data.status === "OK" && Array.isArray(data.sessions) ? data.sessions : [];
+        })().catch(() => []));
+      }
+      return sessionLists.get(state);
     }
 
-    async function fetchLegiScanBill({ state, billNumber, year }) {
-      let searchNumber = billNumber;
-
-      if (state === "US") {
-        if (/^HR\d+$/i.test(billNumber)) {
-          try {
-            searchNumber = billNumber.replace(/^HR/i, "HB");
-            let url = `https://api.legiscan.com/?key=${encodeURIComponent(LEGISCAN_API_KEY)}&op=getBill&state=${encodeURIComponent(state)}&bill=${encodeURIComponent(searchNumber)}`;
-            if (year) url += `&year=${encodeURIComponent(year)}`;
-            const r = await fetch(url);
-            const data = await r.json();
-            if (data.status === "OK" && data.bill) return data.bill;
-          } catch {}
-          searchNumber = billNumber;
-        } else if (/^S\d+$/i.test(billNumber)) {
-          searchNumber = billNumber.replace(/^S/i, "SB");
-        }
+    function getSessionMasterList(sessionId) {
+      const id = Number(sessionId);
+      if (!masterLists.has(id)) {
+        masterLists.set(id, (async () => {
+          const data = await legiscan.getMasterListRaw({ id });
+          if (data.status !== "OK" || !data.masterlist) return null;
+          const { session, ...entries } = data.masterlist;
+          const byNumber = new Map(), byId = new Map();
+          Object.values(entries).forEach(b => {
+            if (!b?.number) return;
+            const entry = { bill_id: b.bill_id, number: String(b.number).toUpperCase(), change_hash: b.change_hash };
+            byNumber.set(entry.number, entry);
+            byId.set(Number(b.bill_id), entry);
+          });
+          return { byNumber, byId };
+        })().catch(() => null));
       }
+      return masterLists.get(id);
+    }
 
-      let url = `https://api.legiscan.com/?key=${encodeURIComponent(LEGISCAN_API_KEY)}&op=getBill&state=${encodeURIComponent(state)}&bill=${encodeURIComponent(searchNumber)}`;
-      if (year) url += `&year=${encodeURIComponent(year)}`;
-      const r = await fetch(url);
-      const data = await r.json();
-      if (data.status !== "OK" || !data.bill) throw new Error(data.alert?.message || `Bill not found: ${searchNumber}`);
-      return data.bill;
+    // Sessions that could hold a bill for this legislative-year value, best match first
+    async function sessionsFor(state, legislativeYear) {
+      const { year, special, specialNumber } = parseLegislativeYear(legislativeYear);
+      const sessions = await getSessions(state);
+      const pool = year
+        ? sessions.filter(s => year >= s.year_start && year <= s.year_end)
+        : sessions.filter(s => !Number(s.prior));
+      const rank = (s) => (special === (Number(s.special) === 1) ? 0 : 1);
+      pool.sort((a, b) => rank(a) - rank(b) || b.year_start - a.year_start || a.session_id - b.session_id);
+      if (special && specialNumber) {
+        // "2025 Special 2": the second special session that year
+        const specials = pool.filter(s => Number(s.special) === 1);
+        const pick = specials[specialNumber - 1];
+        if (pick) return [pick, ...pool.filter(s => s !== pick)];
+      }
+      return pool;
     }
 
-    function pickBestTextUrl(info) {
-      if (!info) return null;
-      const texts = Array.isArray(info.texts) ? info.texts.slice() : [];
-      if (texts.length) {
-        texts.sort((a, b) => new Date(b.date || b.action_date || 0) - new Date(a.date || a.action_date || 0));
-        const pdf = texts.find(t => /pdf/i.test(t?.mime || "") || /\.pdf($|\?)/i.test(t?.state_link || t?.url || ""));
-        if (pdf) return pdf.state_link || pdf.url || null;
-        const first = texts[0];
-        if (first) return first.state_link || first.url || null;
+    // -> { bill_id, session_id, change_hash } or null when LegiScan has no match
+    async function resolveBill({ state, number, legislativeYear, storedId, storedSessionId }) {
+      const candidates = legiscanNumbers(number, getStateProfile(state));
+      if (storedId) {
+        const ml = storedSessionId ? await getSessionMasterList(storedSessionId) : null;
+        const hit = ml?.byId.get(Number(storedId));
+        if (hit && candidates.includes(hit.number)) return { ...hit, session_id: Number(storedSessionId) };
+        // Master list unavailable: trust the stored id, fetchLegiScanBill re-checks the number
+        if (!ml) return { bill_id: Number(storedId), session_id: storedSessionId ? Number(storedSessionId) : null, change_hash: null };
       }
-      return info.state_link || info.url || null;
+      for (const session of await sessionsFor(state, legislativeYear)) {
+        const ml = await getSessionMasterList(session.session_id);
+        const hit = candidates.map(c => ml?.byNumber.get(c)).find(Boolean);
+        if (hit) return { ...hit, session_id: session.session_id };
+      }
+      return null;
     }
 
-    const esc = (s='') => s.replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
-    const fmt = (d) => {
-      if (!d) return '';
-      const [y,m,day] = (d.split('T')[0] || '').split('-');
-      const dt = (y && m && day) ? new Date(+y, +m-1, +day) : new Date(d);
-      return isNaN(dt) ? esc(d) : dt.toLocaleDateString('en-US', { month:'short', day:'numeric', year:'numeric' });
-    };
+    const hashKey = (itemId) => `changeHash:${itemId}`;
+    const sameHashes = (a, b) =>
+      !!a && !!b && Object.keys(a).length === Object.keys(b).length && Object.keys(a).every(k => a[k] === b[k]);
 
-    function buildTimelineHtml(info) {
-      const hist = Array.isArray(info?.history) ? [...info.history] : [];
-      if (!hist.length) {
-        const d = info?.last_action_date || info?.status_date || '';
-        const a = info?.last_action || 'No recent actions recorded';
-        if (!d && !a) return '';
-        const dateText = fmt(d);
-        return dateText ? `<p><strong>${esc(dateText)}</strong><br>${esc(a)}</p>` : `<p>${esc(a)}</p>`;
+    // Webflow hands rich text back reformatted, and treats null and "" alike
+    const normalizeValue = (v) => {
+      if (v === null || v === undefined) return "";
+      if (typeof v !== "string") return JSON.stringify(v);
+      return v.replace(/<br\s*\/?>/gi, "<br>").replace(/\s*(<[^>]+>)\s*/g, "$1").replace(/\s+/g, " ").trim();
+    };
+    const sameValue = (a, b) => normalizeValue(a) === normalizeValue(b);
+
+    // Field-level diff of a computed update against the item's current data
+    function diffFields(item, data) {
+      const changes = {};
+      const current = item.fieldData || {};
+      for (const [slug, next] of Object.entries(data.fieldData)) {
+        const prev = current[slug] ?? (slug === "slug" ? item.slug : null) ?? null;
+        if (!sameValue(prev, next)) changes[slug] = { old: prev, new: next ?? null };
       }
+      return changes;
+    }
 
-      hist.sort((a,b) => new Date(b.date || b.action_date || 0) - new Date(a.date || a.action_date || 0));
-
-      const groupedByDate = new Map();
-      hist.forEach(item => {
-        const dateKey = item.date || item.action_date || '';
-        const action = item.action || '';
-        if (!groupedByDate.has(dateKey)) groupedByDate.set(dateKey, []);
-        groupedByDate.get(dateKey).push(action);
+    // Field slugs and option IDs from the mapping config, checked against the schema
+    const mapping = await loadFieldMapping();
+    if (!mapping.ok) {
+      return res.status(400).json({
+        success: false,
+        error: "Field mapping does not match the collection schema",
+        mappingSource: mapping.source,
+        problems: mapping.problems,
       });
+    }
+    const F = mapping.fields;
+
+    // Legislator directory, when the collection has sponsor reference fields
+    let legislators = null;
+    if (config.legislatorsCollectionId && (F.sponsorRefs || F.houseSponsorRefs || F.senateSponsorRefs)) {
+      legislators = createLegislatorDirectory({ webflow, legiscan, store, collectionId: config.legislatorsCollectionId });
+      const legislatorMapping = await legislators.load();
+      if (!legislatorMapping.ok) {
+        return res.status(400).json({
+          success: false,
+          error: "Legislator field mapping does not match the collection schema",
+          mappingSource: legislatorMapping.source,
+          problems: legislatorMapping.problems,
+        });
+      }
+    }
 
-      const rows = Array.from(groupedByDate.entries()).map((entry, index) => {
-        const [dateKey, actions] = entry;
-        const dateText = fmt(dateKey);
-        if (actions.length === 1) {
-          const html = dateText ? `<p><strong>${esc(dateText)}</strong><br>${esc(actions[0])}</p>` : `<p>${esc(actions[0])}</p>`;
-          return index < groupedByDate.size - 1 ? html + '<br>' : html;
-        } else {
-          const actionItems = actions.map(action => `• ${esc(action)}`).join('<br>');
-          const html = dateText ? `<p><strong>${esc(dateText)}</strong><br>${actionItems}</p>` : `<p>${actionItems}</p>`;
-          return index < groupedByDate.size - 1 ? html + '<br>' : html;
-        }
-      }).join('');
-
-      return rows;
+    // Timeline / sponsor markup templates (RENDER_TEMPLATES, see lib/render.js)
+    let templates;
+    try {
+      templates = loadRenderTemplates();
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
     }
 
-    function buildSponsorsHtml(info, { state = "MN" } = {}) {
-      const list = Array.isArray(info?.sponsors) ? [...info.sponsors] : [];
-      if (!list.length) return "";
-
-      const sponsorTypeRank = (typeId) => {
-        if (typeId === 1) return 0; // Primary
-        if (typeId === 3) return 1; // Joint
-        return 999;                // Skip others
-      };
-
-      const prefixFor = (s) => {
-        const roleId = Number(s?.role_id ?? 0);
-        if (roleId === 1) return "Rep.";
-        if (roleId === 2) return "Sen.";
-
-        const roleText = String(s?.role ?? "").toLowerCase();
-        if (roleText === "sen" || roleText === "senator") return "Sen.";
-        if (roleText === "rep" || roleText === "representative") return "Rep.";
-
-        const ch = String(s?.chamber ?? s?.chamber_id ?? s?.type ?? "").toLowerCase();
-        if (ch === "s" || ch === "senate" || ch === "upper") return "Sen.";
-        if (ch === "h" || ch === "house"  || ch === "lower") return "Rep.";
-
-        const dist = String(s?.district ?? "");
-        if (state === "MN") {
-          if (/^\d{1,3}[A-B]$/i.test(dist)) return "Rep.";
-          if (/^\d{1,3}$/.test(dist))       return "Sen.";
-        }
-        return "";
-      };
-
-      const filteredList = list.filter(s => sponsorTypeRank(s?.sponsor_type_id) < 999);
-      filteredList.sort(
-        (a, b) => sponsorTypeRank(a?.sponsor_type_id) - sponsorTypeRank(b?.sponsor_type_id) ||
-                  (a?.name || "").localeCompare(b?.name || "")
-      );
-
-      const seen = new Set();
-      const items = filteredList.filter((s) => {
-        const key = [s?.name, s?.sponsor_type_id, s?.party, s?.district].join("|");
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
+    // Topic / committee tagging, when the collection has those fields
+    let topicConfig = null, taxonomy = null;
+    const unmapped = { subjects: new Map(), committees: new Map() }; // name -> Set of bill numbers
+    const missingTopics = new Set(); // alias targets the site doesn't have
+    if (F.topics || F.houseCommittee || F.senateCommittee) {
+      try {
+        topicConfig = loadTopicConfig();
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
+      taxonomy = await loadTaxonomy({
+        webflow,
+        collection: mapping.collection,
+        fields: { topics: F.topics, houseCommittee: F.houseCommittee, senateCommittee: F.senateCommittee },
       });
-
-      return items.map((s, i) => {
-        const pref  = prefixFor(s);
-        const name  = s?.name ? esc(s.name) : "";
-        const party = s?.party ? ` (${esc(String(s.party))})` : "";
-        const line  = `${pref} ${name}${party}`.trim();
-        return i < items.length - 1 ? `<p>${line}</p><br>` : `<p>${line}</p>`;
-      }).join("");
     }
+    const noteUnmapped = (kind, name, billNumber) => {
+      if (!unmapped[kind].has(name)) unmapped[kind].set(name, new Set());
+      unmapped[kind].get(name).add(billNumber);
+    };
+    const unmappedList = (kind) => [...unmapped[kind]].map(([name, bills]) => ({ name, bills: [...bills] }));
+    const unmappedSummary = () => (unmapped.subjects.size || unmapped.committees.size || missingTopics.size
+      ? { subjects: unmappedList("subjects"), committees: unmappedList("committees"), missingTopics: missingTopics.size ? [...missingTopics] : undefined }
+      : undefined);
+
+    const fields = createBillFieldBuilder({
+      mapping, templates, legiscan, store, taxonomy, topicConfig, legislators, voteDetail, dryRun,
+      onUnmapped: noteUnmapped,
+      onMissingTopic: (name) => missingTopics.add(name),
+    });
 
-    const createSlug = (text) =>
-      text.toLowerCase()
-        .replace(/[^a-z0-9\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .replace(/-+/g, '-')
-        .replace(/^-|-$/g, '')
-        .substring(0, 80);
-
-    async function patchStaging(itemId, data) {
-      const u = `https://api.webflow.com/v2/collections/${COLLECTION_ID}/items/${itemId}`;
-      return fetch(u, {
-        method: "PATCH",
-        headers: { Authorization: `Bearer ${WEBFLOW_TOKEN}`, "Content-Type": "application/json" },
-        body: JSON.stringify(data),
-      });
+    let alertConfig;
+    try {
+      alertConfig = loadAlertConfig();
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
     }
 
-    async function publishItems(itemIds) {
-      const u = `https://api.webflow.com/v2/collections/${COLLECTION_ID}/items/publish`;
-      return fetch(u, {
-        method: "POST",
-        headers: { Authorization: `Bearer ${WEBFLOW_TOKEN}`, "Content-Type": "application/json" },
-        body: JSON.stringify({ itemIds }),
-      });
+    // Sends this call's transitions (and any a target missed last time), then
+    // remembers the snapshots they were measured against; what a target
+    // couldn't take stays queued in the store, so saving them loses nothing
+    async function flushAlerts() {
+      const transitions = pendingAlerts.flatMap(a => a.transitions);
+      if (alertConfig.targets.length) results.alerts.deliveries.push(...await dispatchAlerts(transitions, alertConfig, { store }));
+      results.alerts.transitions += transitions.length;
+      for (const a of pendingAlerts) await store.set(a.key, a.snapshot);
+      pendingAlerts.length = 0;
     }
 
     // --- Fetch items --------------------------------------------------------
-    const listRes = await fetch(`https://api.webflow.com/v2/collections/${COLLECTION_ID}/items`, {
-      headers: { Authorization: `Bearer ${WEBFLOW_TOKEN}` },
-    });
-    if (!listRes.ok) throw new Error(`Webflow API error: ${listRes.status}`);
-    const bills = (await listRes.json()).items || [];
+    const toInt = (v) => (v === undefined || v === "" || isNaN(Number(v)) ? null : Math.max(0, Math.floor(Number(v))));
+    const windowOffset = toInt(req.query?.offset) ?? 0;
+    const windowLimit = toInt(req.query?.limit) || null; // 0 / missing = no limit
+    const batchSize = toInt(req.query?.batch) || null;
+
+    if (batchSize && (windowOffset || windowLimit)) {
+      return res.status(400).json({ success: false, error: "Use either offset/limit or batch, not both" });
+    }
+    if (batchSize && dryRun) {
+      return res.status(400).json({ success: false, error: "dryRun can't be combined with batch; use offset/limit instead" });
+    }
+
+    let bills, totalBills, cursor = null, batchEnd = 0;
+    const cursorKey = `syncCursor:${COLLECTION_ID}`;
+
+    if (batchSize) {
+      // Resumable mode: pick up after the last item processed by the previous call
+      if (flag(req.query?.reset)) await store.delete(cursorKey);
+      cursor = await store.get(cursorKey);
+
+      const { items: all, total } = await webflow.listItems();
+      let start = 0;
+      if (cursor) {
+        const idx = all.findIndex(it => it.id === cursor.lastItemId);
+        start = idx >= 0 ? idx + 1 : Math.min(cursor.position || 0, all.length);
+        Object.assign(results, cursor.results, { timestamp: results.timestamp });
+        toPublish.push(...cursor.toPublish);
+        Object.entries(cursor.pendingHashes || {}).forEach(([id, rec]) => pendingHashes.set(id, rec));
+      }
+      bills = all.slice(start, start + batchSize);
+      batchEnd = start + bills.length;
+      totalBills = total;
+    } else {
+      ({ items: bills, total: totalBills } = await webflow.listItems({ offset: windowOffset, max: windowLimit ?? Infinity }));
+    }
 
-    // Get dynamic option ID mappings from schema
-    const { houseStatusIds, senateStatusIds /*, jurisdictionIds*/ } = await getOptionIdMaps();
 
     // --- Process items ------------------------------------------------------
     for (const bill of bills) {
       results.processed++;
 
       // Manual override
-      if (bill.fieldData["manual-override"] === true) {
+      if (F.override && bill.fieldData[F.override] === true) {
         results.skipped++;
         results.skipReasons.push({ id: bill.id, reason: "Manual override enabled" });
         continue;
       }
 
-      const rawHouse = bill.fieldData["house-file-number"] || "";
-      const rawSenate = bill.fieldData["senate-file-number"] || "";
-      const currentName = bill.fieldData["name"]?.trim() || "";
-      const jurisdictionId = bill.fieldData["jurisdiction"];
-      const legislativeYear = bill.fieldData["legislative-year"]?.toString().trim();
+      const rawHouse = bill.fieldData[F.houseNumber] || "";
+      const rawSenate = bill.fieldData[F.senateNumber] || "";
+      const currentName = bill.fieldData[F.title]?.trim() || "";
+      const jurisdictionId = F.jurisdiction ? bill.fieldData[F.jurisdiction] : null;
+      const legislativeYear = itemYear(mapping, bill.fieldData) ?? undefined;
+
+      // Jurisdiction comes from the option name; items without one are inferred
+      // from the number when only one state uses it
+      if (jurisdictionId && mapping.jurisdictionNames[jurisdictionId] && !mapping.jurisdictionByOptionId[jurisdictionId]) {
+        results.skipped++;
+        results.skipReasons.push({ id: bill.id, reason: `Unsupported jurisdiction: ${mapping.jurisdictionNames[jurisdictionId]}` });
+        continue;
+      }
+      const inferred = mapping.jurisdictionByOptionId[jurisdictionId] ? null : inferStateFromNumbers(rawHouse, rawSenate);
+      const state = mapping.jurisdictionByOptionId[jurisdictionId] || inferred.state;
+      if (!state) {
+        results.skipped++;
+        results.skipReasons.push({ id: bill.id, reason: inferred.error });
+        continue;
+      }
 
-      const { houseNumber, senateNumber, corrections } = normalizeNumbers(rawHouse, rawSenate);
+      let { houseNumber, senateNumber, corrections } = normalizeNumbers(rawHouse, rawSenate, getStateProfile(state));
 
       if (!houseNumber && !senateNumber) {
         results.skipped++; 
-        results.skipReasons.push({ id: bill.id, reason: "No HF/SF number" });
+        results.skipReasons.push({ id: bill.id, reason: "No bill number" });
         continue;
       }
 
-      function inferStateFromNumber(h, s) {
-        const n = String(h || s || "").toUpperCase();
-        if (/^(HF|SF)\d+$/.test(n)) return "MN";
-        if (/^(HB|SB|HR|SR|HJ|SJ|HC|SC)\d+$/.test(n)) return "US";
-        return "MN";
-      }
-
-      const state = JURISDICTION_MAP[jurisdictionId] || inferStateFromNumber(houseNumber, senateNumber);
-
       try {
+        // Resolve each number to a LegiScan bill in the right session
+        const { year } = parseLegislativeYear(legislativeYear);
+        const storedSessionId = F.sessionId ? bill.fieldData[F.sessionId] : null;
+        const resolve = (number, idAttr) => number
+          ? resolveBill({ state, number, legislativeYear, storedId: F[idAttr] ? bill.fieldData[F[idAttr]] : null, storedSessionId })
+          : null;
+        const houseRef = await resolve(houseNumber, "houseBillId");
+        const senateRef = await resolve(senateNumber, "senateBillId");
+
+        // Skip bills whose LegiScan change_hash matches what we last synced, unless
+        // the session cutoff has passed since then (unfinished bills turn Tabled)
+        const refs = [[houseNumber, houseRef], [senateNumber, senateRef]].filter(([num]) => num);
+        const hashes = refs.every(([, ref]) => ref?.change_hash)
+          ? Object.fromEntries(refs.map(([num, ref]) => [num, ref.change_hash]))
+          : null;
+        const hashRecord = { state, year: legislativeYear || "", hashes, pastCutoff: pastSessionCutoff({ state, legislativeYear: year }) };
+        if (!force && hashRecord.hashes) {
+          const last = await store.get(hashKey(bill.id));
+          // Items without a saved bill record (synced before /api/bills existed) go through once to get one
+          if (last && last.state === state && last.year === hashRecord.year && last.pastCutoff === hashRecord.pastCutoff && sameHashes(last.hashes, hashRecord.hashes) && storedRecords[bill.id]) {
+            results.unchangedUpstream++;
+            continue;
+          }
+        }
+
         const primaryNumber = houseNumber || senateNumber;
-        const primaryInfo = await fetchLegiScanBill({ state, billNumber: primaryNumber, year: legislativeYear });
+        const primaryRef = houseNumber ? houseRef : senateRef;
+        const primaryInfo = await fetchLegiScanBill({ state, billNumber: primaryNumber, year, billId: primaryRef?.bill_id, changeHash: primaryRef?.change_hash });
 
         let houseInfo = null, senateInfo = null;
         if (houseNumber && primaryNumber !== houseNumber) {
-          await sleep(150);
-          houseInfo = await fetchLegiScanBill({ state, billNumber: houseNumber, year: legislativeYear });
+          houseInfo = await fetchLegiScanBill({ state, billNumber: houseNumber, year, billId: houseRef?.bill_id, changeHash: houseRef?.change_hash });
         } else {
           houseInfo = primaryInfo;
         }
         if (senateNumber && primaryNumber !== senateNumber) {
-          await sleep(150);
-          senateInfo = await fetchLegiScanBill({ state, billNumber: senateNumber, year: legislativeYear });
+          senateInfo = await fetchLegiScanBill({ state, billNumber: senateNumber, year, billId: senateRef?.bill_id, changeHash: senateRef?.change_hash });
         } else {
           senateInfo = primaryInfo;
         }
 
-        const updateData = { fieldData: {} };
-
-        // Corrections
-        Object.assign(updateData.fieldData, corrections);
-
-        // Title
-        let billTitle = currentName;
-        if (isPlaceholderName(currentName, primaryNumber)) {
-          billTitle = primaryInfo.title || primaryNumber;
-          updateData.fieldData["name"] = billTitle;
-        }
-
-        // Status (separate)
-        if (houseNumber && houseInfo) {
-          const statusKey = computeStatusKey(houseInfo, { state, legislativeYear });
-          updateData.fieldData["house-file-status"] = houseStatusIds[statusKey];
-        }
-        if (senateNumber && senateInfo) {
-          const statusKey = computeStatusKey(senateInfo, { state, legislativeYear });
-          updateData.fieldData["senate-file-status"] = senateStatusIds[statusKey];
+        // Companion: fill the missing chamber's number, or flag a disagreement
+        if (houseNumber && senateNumber) {
+          const checks = [["senate", houseInfo, senateNumber], ["house", senateInfo, houseNumber]];
+          for (const [chamber, info, stored] of checks) {
+            const comp = findCompanion(info, chamber, state);
+            if (comp && comp.number !== stored) {
+              results.conflicts.push({ id: bill.id, houseNumber, senateNumber, chamber, stored, legiscan: comp.number, relation: comp.type });
+            }
+          }
+        } else {
+          const chamber = houseNumber ? "senate" : "house";
+          const comp = findCompanion(primaryInfo, chamber, state);
+          // A failed companion lookup leaves that chamber empty for this run; the bill itself still syncs
+          let compInfo = null;
+          if (comp) {
+            try {
+              compInfo = await fetchLegiScanBill({ state, billNumber: comp.number, year, billId: comp.bill_id });
+            } catch (err) {
+              results.conflicts.push({ id: bill.id, houseNumber, senateNumber, chamber, stored: null, legiscan: comp.number, relation: comp.type, error: `Companion lookup failed: ${err.message}` });
+            }
+          }
+          if (compInfo) {
+            if (chamber === "senate") { senateNumber = comp.number; senateInfo = compInfo; corrections.senateNumber = comp.number; }
+            else { houseNumber = comp.number; houseInfo = compInfo; corrections.houseNumber = comp.number; }
+            results.companions.push({ id: bill.id, [`${chamber}Number`]: comp.number, from: primaryNumber, relation: comp.type });
+          }
         }
 
-        // --- Timelines -------------------------------------------------------------
-        const houseTimelineHtml  = houseInfo  ? buildTimelineHtml(houseInfo)  : "";
-        const senateTimelineHtml = senateInfo ? buildTimelineHtml(senateInfo) : "";
-
-        // Combined (main timeline)
-        const combinedTimelineHtml = buildTimelineHtml(primaryInfo);
-        updateData.fieldData["timeline"] = combinedTimelineHtml || "";
-
-        // Chamber-specific timelines
-        updateData.fieldData["house-file-timeline"]  = houseNumber  ? (houseTimelineHtml  || "") : null;
-        updateData.fieldData["senate-file-timeline"] = senateNumber ? (senateTimelineHtml || "") : null;
-
-        // --- Sponsors (primary + per chamber) -------------------------------------
-        const sponsorsHtml       = buildSponsorsHtml(primaryInfo, { state });
-        const houseSponsorsHtml  = houseInfo  ? buildSponsorsHtml(houseInfo,  { state }) : "";
-        const senateSponsorsHtml = senateInfo ? buildSponsorsHtml(senateInfo, { state }) : "";
-
-        // Write ALL sponsor fields - combined and chamber-specific
-        updateData.fieldData["sponsors"] = sponsorsHtml || "";
-        
-        // FIXED: Actually write the chamber-specific sponsor fields!
-        updateData.fieldData["house-file-sponsors"] = houseNumber ? (houseSponsorsHtml || "") : null;
-        updateData.fieldData["senate-file-sponsors"] = senateNumber ? (senateSponsorsHtml || "") : null;
-
-        // Links
-        if (houseNumber) {
-          const link = pickBestTextUrl(houseInfo);
-          if (link) updateData.fieldData["house-file-link"] = link;
-        } else if (corrections["house-file-number"] === "") {
-          updateData.fieldData["house-file-link"] = null;
-        }
+        const built = await fields.build({ state, legislativeYear, primaryInfo, houseNumber, houseInfo, senateNumber, senateInfo, current: bill.fieldData });
+        const { title: billTitle, rendered } = built;
+        const { stage: houseStage, statusKey: houseStatusText } = built.house;
+        const { stage: senateStage, statusKey: senateStatusText } = built.senate;
 
-        if (senateNumber) {
-          const link = pickBestTextUrl(senateInfo);
-          if (link) updateData.fieldData["senate-file-link"] = link;
-        } else if (corrections["senate-file-number"] === "") {
-          updateData.fieldData["senate-file-link"] = null;
+        // Corrections first, then the computed values; a number moved to the
+        // other chamber takes its link along
+        const updateData = { fieldData: {} };
+        const put = (attr, value) => { if (F[attr]) updateData.fieldData[F[attr]] = value; };
+        Object.entries(corrections).forEach(([attr, value]) => put(attr, value));
+        Object.assign(updateData.fieldData, built.fieldData);
+        if (!houseNumber && corrections.houseNumber === "") put("houseLink", null);
+        if (!senateNumber && corrections.senateNumber === "") put("senateLink", null);
+
+        // --- Alerts: compare each chamber's bill with the last run -------------
+        if (alertConfig.targets.length) {
+          const checks = [[houseNumber, houseInfo, houseStage, houseStatusText], [senateNumber, senateInfo, senateStage, senateStatusText]];
+          for (const [number, info, stage, statusKey] of checks) {
+            if (!number || !info?.bill_id) continue;
+            const billMeta = { itemId: bill.id, billNumber: number, state, title: billTitle, url: info.state_link || info.url || null };
+            pendingAlerts.push(await checkBill(store, info, { statusKey, stage, bill: billMeta }));
+          }
         }
 
-        // Slug (top-level)
-        if (legislativeYear && billTitle) {
-          const billNumbers = [houseNumber, senateNumber].filter(Boolean).join('-').toLowerCase();
-          const headlineSlug = createSlug(billTitle);
-          const structuredSlug = `${legislativeYear}--${billNumbers || 'bill'}--${headlineSlug}`;
-          updateData.slug = structuredSlug;
-        }
+        const billRecord = buildBillRecord({
+          state,
+          house: { number: houseNumber, info: houseInfo, statusKey: houseStatusText, stage: houseStage },
+          senate: { number: senateNumber, info: senateInfo, statusKey: senateStatusText, stage: senateStage },
+          primaryInfo,
+          topics: built.topics,
+        });
 
-        if (!Object.keys(updateData.fieldData).length && !updateData.slug) {
+        if (!Object.keys(updateData.fieldData).length) {
+          if (!dryRun) pendingRecords.set(bill.id, billRecord);
+          if (hashRecord.hashes && !dryRun) await store.set(hashKey(bill.id), hashRecord);
           results.skipped++;
           results.skipReasons.push({ id: bill.id, reason: "No changes to apply" });
           continue;
         }
 
-        const staging = await patchStaging(bill.id, updateData);
-        if (!staging.ok) {
-          const body = await staging.json().catch(() => ({}));
-          results.errors.push({
-            billId: bill.id,
-            error: `Staging update failed`,
-            status: staging.status,
-            message: body.message || staging.statusText,
-            details: body.details || body,
-            sentData: updateData
+        const changes = diffFields(bill, updateData);
+        const noop = !Object.keys(changes).length;
+
+        if (dryRun) {
+          if (noop) results.unchanged++; else results.updated++;
+          results.bills.push({
+            id: bill.id,
+            houseNumber,
+            senateNumber,
+            headline: updateData.fieldData[F.title] || currentName,
+            result: noop ? "no-op" : "would update",
+            changes: noop ? undefined : changes,
           });
           continue;
         }
 
-        toPublish.push(bill.id);
-
-        // Log-friendly summary
-        const houseStatusText = houseNumber ? computeStatusKey(houseInfo, { state, legislativeYear }) : null;
-        const senateStatusText = senateNumber ? computeStatusKey(senateInfo, { state, legislativeYear }) : null;
+        // Nothing really changed: don't re-stage or re-publish
+        if (noop) {
+          pendingRecords.set(bill.id, billRecord);
+          if (hashRecord.hashes) await store.set(hashKey(bill.id), hashRecord);
+          results.unchanged++;
+          continue;
+        }
 
-        results.updated++;
-        results.bills.push({
+        pendingUpdates.push({
           id: bill.id,
-          houseNumber,
-          senateNumber,
-          headline: updateData.fieldData.name || currentName,
-          status: "staged",
-          houseStatus: houseStatusText,
-          senateStatus: senateStatusText,
-          houseStatusCode: houseNumber && houseInfo ? houseInfo.status : null,
-          senateStatusCode: senateNumber && senateInfo ? senateInfo.status : null,
-          houseTimelinePreview: houseTimelineHtml ? "Timeline generated" : "No house timeline",
-          senateTimelinePreview: senateTimelineHtml ? "Timeline generated" : "No senate timeline",
-          sponsorsPreview: sponsorsHtml ? "Sponsors generated" : "No sponsors",
-          houseSponsorsPreview: houseSponsorsHtml ? "House sponsors generated" : "No house sponsors",
-          senateSponsorsPreview: senateSponsorsHtml ? "Senate sponsors generated" : "No senate sponsors",
+          draft: bill.isDraft === true,
+          fieldData: updateData.fieldData,
+          hashRecord,
+          billRecord,
+          summary: {
+            id: bill.id,
+            houseNumber,
+            senateNumber,
+            headline: updateData.fieldData[F.title] || currentName,
+            status: "staged",
+            houseStatus: houseStatusText,
+            senateStatus: senateStatusText,
+            houseStage: houseStage?.stage ?? null,
+            senateStage: senateStage?.stage ?? null,
+            houseStatusCode: houseNumber && houseInfo ? houseInfo.status : null,
+            senateStatusCode: senateNumber && senateInfo ? senateInfo.status : null,
+            houseTimelinePreview: rendered.houseTimeline ? "Timeline generated" : "No house timeline",
+            senateTimelinePreview: rendered.senateTimeline ? "Timeline generated" : "No senate timeline",
+            sponsorsPreview: rendered.sponsors ? "Sponsors generated" : "No sponsors",
+            houseSponsorsPreview: rendered.houseSponsors ? "House sponsors generated" : "No house sponsors",
+            senateSponsorsPreview: rendered.senateSponsors ? "Senate sponsors generated" : "No senate sponsors",
+          },
         });
-
-        await sleep(120);
       } catch (err) {
         results.errors.push({ billId: bill.id, error: err.message });
       }
     }
 
-    // --- Publish to LIVE in batches ----------------------------------------
-    let publishedOk = 0;
-    const CHUNK = 100;
-    for (let i = 0; i < toPublish.length; i += CHUNK) {
-      const slice = toPublish.slice(i, i + CHUNK);
-      const pub = await publishItems(slice);
-      const body = await pub.json().catch(() => ({}));
+    if (!dryRun && (unmapped.subjects.size || unmapped.committees.size)) {
+      await recordUnmapped(store, {
+        subjects: unmappedList("subjects").map(u => [u.name, u.bills]),
+        committees: unmappedList("committees").map(u => [u.name, u.bills]),
+      });
+    }
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        timestamp: results.timestamp,
+        summary: {
+          totalBills,
+          window: windowOffset || windowLimit !== null ? { offset: windowOffset, limit: windowLimit, count: bills.length } : undefined,
+          processed: results.processed,
+          wouldUpdate: results.updated,
+          noop: results.unchanged,
+          skipped: results.skipped,
+          companionsFound: results.companions.length,
+          conflicts: results.conflicts.length,
+          errors: results.errors.length
+        },
+        legiscan: await legiscan.usage(),
+        legislators: legislators?.stats(),
+        unmapped: unmappedSummary(),
+        diffs: results.bills,
+        alerts: pendingAlerts.some(a => a.transitions.length) ? pendingAlerts.flatMap(a => a.transitions) : undefined,
+        companions: results.companions.length ? results.companions : undefined,
+        conflicts: results.conflicts.length ? results.conflicts : undefined,
+        skipReasons: results.skipReasons.length ? results.skipReasons : undefined,
+        errors: results.errors.length ? results.errors : undefined,
+      });
+    }
 
-      if (!pub.ok) {
+    // --- Stage the updates in bulk ----------------------------------------------
+    const staged = await webflow.updateItems(pendingUpdates.map(({ id, fieldData }) => ({ id, fieldData })));
+    const failedIds = new Map(staged.failed.map(f => [f.id, f]));
+    for (const u of pendingUpdates) {
+      const failure = failedIds.get(u.id);
+      if (failure) {
         results.errors.push({
-          error: `Publish failed: ${body.message || body.error || pub.statusText}`,
-          details: body,
-          affectedItems: slice,
+          billId: u.id,
+          error: "Staging update failed",
+          status: failure.status,
+          message: failure.error,
+          details: failure.details,
+          sentData: { fieldData: u.fieldData },
         });
+        continue;
+      }
+      // Drafts (add-bills / import-bills items awaiting review) are kept up to
+      // date but left for an editor to publish
+      if (u.draft) {
+        if (u.hashRecord.hashes) await store.set(hashKey(u.id), u.hashRecord);
+        u.summary.status = "staged (draft)";
       } else {
-        const ids = Array.isArray(body.itemIds) ? body.itemIds
-                 : Array.isArray(body.items) ? body.items.map(x => x.id)
-                 : [];
-        publishedOk += ids.length;
-        results.bills.push({
-          publishedCount: ids.length,
-          itemIds: ids.length ? ids : slice
-        });
+        toPublish.push(u.id);
+        if (u.hashRecord.hashes) pendingHashes.set(u.id, u.hashRecord);
       }
-      await sleep(700);
+      pendingRecords.set(u.id, u.billRecord);
+      results.updated++;
+      results.bills.push(u.summary);
     }
 
+    await saveBillRecords(store, COLLECTION_ID, pendingRecords);
+    await flushAlerts();
+
+    // Legislators added or changed for this call go live before the bills that reference them
+    if (legislators) {
+      const { failed } = await legislators.publish();
+      failed.forEach(f => results.errors.push({ error: `Legislator publish failed: ${f.error}`, details: f.details, affectedItems: f.ids }));
+    }
+
+    // --- Save cursor when a resumable run still has bills left ----------------
+    const remaining = batchSize ? Math.max(0, totalBills - batchEnd) : 0;
+    if (batchSize && remaining > 0) {
+      await store.set(cursorKey, {
+        startedAt: cursor?.startedAt || results.timestamp,
+        lastItemId: bills.length ? bills[bills.length - 1].id : cursor?.lastItemId,
+        position: batchEnd,
+        toPublish,
+        pendingHashes: Object.fromEntries(pendingHashes),
+        results,
+      });
+
+      return res.status(200).json({
+        success: true,
+        timestamp: results.timestamp,
+        complete: false,
+        remaining,
+        summary: {
+          totalBills,
+          processed: results.processed,
+          updated: results.updated,
+          unchangedUpstream: results.unchangedUpstream,
+          unchanged: results.unchanged,
+          skipped: results.skipped,
+          pendingPublish: toPublish.length,
+          errors: results.errors.length
+        },
+        legiscan: await legiscan.usage(),
+      });
+    }
+
+    // --- Publish to LIVE ---------------------------------------------------------
+    const { publishedItemIds, failed: publishFailures } = await webflow.publishItems(toPublish);
+    const publishedOk = publishedItemIds.length;
+    publishFailures.forEach(f => results.errors.push({
+      error: `Publish failed: ${f.error}`,
+      details: f.details,
+      affectedItems: f.ids,
+    }));
+    // Hashes are only remembered for items that made it live
+    for (const id of publishedItemIds) {
+      if (pendingHashes.has(id)) await store.set(hashKey(id), pendingHashes.get(id));
+    }
+    if (publishedOk) results.bills.push({ publishedCount: publishedOk, itemIds: publishedItemIds });
+
+    if (batchSize) await store.delete(cursorKey);
+
     return res.status(200).json({
       success: true,
       timestamp: results.timestamp,
+      complete: batchSize ? true : undefined,
+      remaining: batchSize ? 0 : undefined,
+      startedAt: cursor?.startedAt,
       summary: {
-        totalBills: bills.length,
+        totalBills,
+        window: windowOffset || windowLimit !== null ? { offset: windowOffset, limit: windowLimit, count: bills.length } : undefined,
         processed: results.processed,
         updated: results.updated,
+        unchangedUpstream: results.unchangedUpstream,
+        unchanged: results.unchanged,
         skipped: results.skipped,
+        companionsFilled: results.companions.length,
+        conflicts: results.conflicts.length,
         published: publishedOk,
+        transitions: results.alerts.transitions,
+        alertsFailed: results.alerts.deliveries.filter(d => !d.ok).length,
         errors: results.errors.length
       },
+      legiscan: await legiscan.usage(),
+      webflow: webflow.stats(),
+      legislators: legislators?.stats(),
+      unmapped: unmappedSummary(),
       updatedBills: results.bills,
+      alerts: results.alerts.deliveries.length ? results.alerts.deliveries : undefined,
+      companions: results.companions.length ? results.companions : undefined,
+      conflicts: results.conflicts.length ? results.conflicts : undefined,
       skipReasons: results.skipReasons.length ? results.skipReasons : undefined,
       errors: results.errors.length ? results.errors : undefined,
     });
   } catch (error) {
     return res.status(500).json({ success: false, error: error.message, message: "Bills sync failed" });
+  } finally {
+    await legiscan?.flushUsage();
+    await store?.flush();
   }
 }
@@ -0,0 +1,118 @@
+// /api/sync-legislators.js
+// Keeps the legislator collection (WEBFLOW_LEGISLATORS_COLLECTION_ID) in step
+// with LegiScan's people records: one item per legislator with name, party,
+// chamber, district and profile links. sync-bills points its sponsor
+// multi-reference fields at these items; see lib/legislators.js for the fields.
+// Usage: POST /api/sync-legislators (same auth as sync-bills; Vercel Cron's GET works too)
+//        &state=MN           jurisdiction (default MN)
+//        &session=2100       LegiScan session id (default: the state's current regular session)
+//        &people=123,456     only these LegiScan people ids, fetched with getPerson
+//        &dryRun=1           report what would change without writing
+
+import { requireAuth } from "../lib/auth.js";
+import { requireConfig } from "../lib/config.js";
+import { createLegiScanClient } from "../lib/legiscan.js";
+import { createWebflowClient } from "../lib/webflow.js";
+import { getStore } from "../lib/store.js";
+import { createLegislatorDirectory } from "../lib/legislators.js";
+import { DEFAULT_STATE, getStateProfile } from "../lib/states.js";
+
+export default async function handler(req, res) {
+  if (!requireAuth(req, res, { methods: ["POST"], cronGet: true })) return;
+
+  let legiscan = null, store = null;
+  try {
+    const config = requireConfig(res, ["webflowToken", "legiscanApiKey", "legislatorsCollectionId"]);
+    if (!config) return;
+    if (!config.legislatorsCollectionId) {
+      return res.status(500).json({
+        success: false,
+        error: "Server is missing required configuration",
+        missing: ["WEBFLOW_LEGISLATORS_COLLECTION_ID"],
+      });
+    }
+
+    const flag = (v) => ["1", "true"].includes(String(v || "").toLowerCase());
+    const dryRun = flag(req.query?.dryRun);
+    const profile = getStateProfile(req.query?.state || DEFAULT_STATE);
+    if (!profile) {
+      return res.status(400).json({ success: false, error: "Unsupported state", message: `No profile for state "${req.query?.state}"` });
+    }
+    const state = profile.code;
+
+    store = getStore();
+    legiscan = createLegiScanClient({ apiKey: config.legiscanApiKey, store });
+    const webflow = createWebflowClient({ token: config.webflowToken });
+    const directory = createLegislatorDirectory({ webflow, legiscan, store, collectionId: config.legislatorsCollectionId });
+
+    const mapping = await directory.load();
+    if (!mapping.ok) {
+      return res.status(400).json({
+        success: false,
+        error: "Legislator field mapping does not match the collection schema",
+        mappingSource: mapping.source,
+        problems: mapping.problems,
+      });
+    }
+
+    // --- People ----------------------------------------------------------------
+    const people = [];
+    const notFound = [];
+    let session = null;
+    const ids = String(req.query?.people || "").split(",").map(s => Number(s.trim())).filter(Boolean);
+    if (ids.length) {
+      for (const id of ids) {
+        const data = await legiscan.getPerson(id);
+        if (data.status === "OK" && data.person) people.push(data.person);
+        else notFound.push(id);
+      }
+    } else {
+      let sessionId = Number(req.query?.session) || null;
+      if (!sessionId) {
+        const data = await legiscan.getSessionList(state);
+        const current = (data.sessions || [])
+          .filter(s => !Number(s.prior))
+          .sort((a, b) => Number(a.special) - Number(b.special) || b.year_start - a.year_start)[0];
+        if (!current) {
+          return res.status(502).json({ success: false, error: data.alert?.message || `No current LegiScan session for ${state}` });
+        }
+        sessionId = current.session_id;
+      }
+      const data = await legiscan.getSessionPeople(sessionId);
+      if (data.status !== "OK" || !data.sessionpeople) {
+        return res.status(502).json({ success: false, error: data.alert?.message || `No people for session ${sessionId}` });
+      }
+      session = data.sessionpeople.session || { session_id: sessionId };
+      people.push(...(data.sessionpeople.people || []).filter(p => !Number(p.committee_sponsor)));
+    }
+
+    await directory.upsert(people, { state, dryRun });
+    const publish = dryRun ? null : await directory.publish();
+    const stats = directory.stats();
+
+    return res.status(200).json({
+      success: !stats.errors && !publish?.failed.length,
+      dryRun: dryRun || undefined,
+      timestamp: new Date().toISOString(),
+      state,
+      session: session ? { id: session.session_id, name: session.session_name, years: [session.year_start, session.year_end] } : undefined,
+      summary: {
+        people: people.length,
+        [dryRun ? "wouldCreate" : "created"]: stats.created,
+        [dryRun ? "wouldUpdate" : "updated"]: stats.updated,
+        unchanged: stats.unchanged,
+        published: publish?.published,
+        errors: stats.failed + (publish?.failed.length || 0),
+      },
+      notFound: notFound.length ? notFound : undefined,
+      errors: stats.errors || (publish?.failed.length ? publish.failed : undefined),
+      legiscan: await legiscan.usage(),
+      webflow: webflow.stats(),
+    });
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message, message: "Legislator sync failed" });
+  } finally {
+    await legiscan?.flushUsage();
+    await store?.flush();
+  }
+}
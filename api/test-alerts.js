@@ -0,0 +1,57 @@
+// /api/test-alerts.js
+// Sends a sample transition to each configured alert target (ALERTS_CONFIG /
+// ALERTS_CONFIG_FILE), e.g. to check a local stand-in webhook or SMTP server.
+// Usage: /api/test-alerts or /api/test-alerts?target=<name> for a single target
+// It sends real messages, so unlike the other test endpoints it always takes
+// the sync secret (see lib/auth.js).
+
+import { loadAlertConfig, dispatchAlerts } from '../lib/alerts.js';
+import { requireAuth } from '../lib/auth.js';
+
+export default async function handler(req, res) {
+  if (!requireAuth(req, res, { methods: ['GET', 'POST'], cronGet: false })) return;
+
+  try {
+    let config;
+    try {
+      config = loadAlertConfig();
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    const { target } = req.query || {};
+    const targets = target ? config.targets.filter(t => t.name === target) : config.targets;
+    if (!targets.length) {
+      return res.status(400).json({
+        success: false,
+        error: target ? `No alert target named "${target}"` : 'No alert targets configured',
+        configSource: config.source
+      });
+    }
+
+    // Unfiltered copies, so subscriptions don't hide the sample
+    const sample = [{
+      itemId: 'test',
+      billNumber: 'HF1',
+      state: 'MN',
+      title: 'Sample bill (alert test)',
+      url: null,
+      type: 'status',
+      from: { status: 'Active', stage: 'In committee' },
+      to: { status: 'Active', stage: 'Passed House' }
+    }];
+    const deliveries = await dispatchAlerts(sample, {
+      ...config,
+      targets: targets.map(t => ({ ...t, bills: null, events: null }))
+    });
+
+    return res.json({
+      success: deliveries.every(d => d.ok),
+      configSource: config.source,
+      deliveries
+    });
+
+  } catch (error) {
+    return res.json({ success: false, error: error.message });
+  }
+}
@@ -1,5 +1,10 @@
 // /api/test-legiscan.js
 // Test endpoint for LegiScan API - accessible at https://your-app.vercel.app/api/test-legiscan
+// Set PROTECT_TEST_ENDPOINTS=1 to require the sync secret (see lib/auth.js)
+
+import { requireTestAuth } from '../lib/auth.js';
+import { requireConfig, configStatus } from '../lib/config.js';
+import { createLegiScanClient } from '../lib/legiscan.js';
 
 export default async function handler(req, res) {
   // Set CORS headers for browser testing
@@ -12,10 +17,16 @@ export default async function handler(req, res) {
     return;
   }
 
+  if (!requireTestAuth(req, res)) return;
+
+  let legiscan = null;
   try {
-    // Get API key from environment variable or fallback to hardcoded
-    const API_KEY = process.env.LEGISCAN_API_KEY || 'bcbd43b211523761a89cfc1622415e7e';
-    
+    const config = requireConfig(res, ['legiscanApiKey']);
+    if (!config) return;
+    // Uncached, so the tests really exercise the API
+    legiscan = createLegiScanClient({ apiKey: config.legiscanApiKey, cache: 'off' });
+    let firstBillId = null;
+
     const results = {
       timestamp: new Date().toISOString(),
       tests: [],
@@ -42,13 +53,14 @@ export default async function handler(req, res) {
     // Test 1: Get Minnesota bills
     try {
       console.log('Testing getMasterList for Minnesota...');
-      const mnResponse = await fetch(`https://api.legiscan.com/?key=${API_KEY}&op=getMasterList&state=MN`);
-      const mnData = await mnResponse.json();
+      const mnData = await legiscan.getMasterList({ state: 'MN' });
       
       if (mnData.status === 'OK' && mnData.masterlist) {
-        const billCount = Object.keys(mnData.masterlist).length;
-        const sampleBills = Object.keys(mnData.masterlist).slice(0, 3).map(id => {
-          const bill = mnData.masterlist[id];
+        const { session, ...entries } = mnData.masterlist;
+        const billCount = Object.keys(entries).length;
+        firstBillId = Object.values(entries)[0]?.bill_id ?? null;
+        const sampleBills = Object.keys(entries).slice(0, 3).map(id => {
+          const bill = entries[id];
           return {
             id: bill.bill_id,
             number: bill.number,
@@ -66,35 +78,27 @@ export default async function handler(req, res) {
       addTest('getMasterList (MN)', false, `Request failed: ${error.message}`);
     }
 
-    // Test 2: Get detailed bill info (only if we have bills from test 1)
-    if (results.summary.passed > 0) {
+    // Test 2: Get detailed bill info for the first bill from test 1
+    if (firstBillId) {
       try {
-        // Get the first bill ID from our previous test
-        const mnResponse = await fetch(`https://api.legiscan.com/?key=${API_KEY}&op=getMasterList&state=MN`);
-        const mnData = await mnResponse.json();
+        console.log(`Testing getBill for ID: ${firstBillId}...`);
         
-        if (mnData.status === 'OK' && mnData.masterlist) {
-          const firstBillId = mnData.masterlist[Object.keys(mnData.masterlist)[0]].bill_id;
-          console.log(`Testing getBill for ID: ${firstBillId}...`);
-          
-          const billResponse = await fetch(`https://api.legiscan.com/?key=${API_KEY}&op=getBill&id=${firstBillId}`);
-          const billData = await billResponse.json();
+        const billData = await legiscan.getBill({ id: firstBillId });
+        
+        if (billData.status === 'OK' && billData.bill) {
+          const bill = billData.bill;
+          const billDetails = {
+            number: bill.bill_number,
+            title: bill.title ? bill.title.substring(0, 100) + '...' : 'No title',
+            status: bill.status_text,
+            sponsors: bill.sponsors ? bill.sponsors.length : 0,
+            history: bill.history ? bill.history.length : 0,
+            description: bill.description ? bill.description.substring(0, 150) + '...' : 'No description'
+          };
           
-          if (billData.status === 'OK' && billData.bill) {
-            const bill = billData.bill;
-            const billDetails = {
-              number: bill.bill_number,
-              title: bill.title ? bill.title.substring(0, 100) + '...' : 'No title',
-              status: bill.status_text,
-              sponsors: bill.sponsors ? bill.sponsors.length : 0,
-              history: bill.history ? bill.history.length : 0,
-              description: bill.description ? bill.description.substring(0, 150) + '...' : 'No description'
-            };
-            
-            addTest('getBill (detailed)', true, 'Successfully retrieved bill details', billDetails);
-          } else {
-            addTest('getBill (detailed)', false, billData.alert?.message || 'Failed to get bill details');
-          }
+          addTest('getBill (detailed)', true, 'Successfully retrieved bill details', billDetails);
+        } else {
+          addTest('getBill (detailed)', false, billData.alert?.message || 'Failed to get bill details');
         }
       } catch (error) {
         addTest('getBill (detailed)', false, `Request failed: ${error.message}`);
@@ -104,8 +108,7 @@ export default async function handler(req, res) {
     // Test 3: Search functionality
     try {
       console.log('Testing search for "education"...');
-      const searchResponse = await fetch(`https://api.legiscan.com/?key=${API_KEY}&op=getSearch&state=MN&query=education`);
-      const searchData = await searchResponse.json();
+      const searchData = await legiscan.getSearch({ state: 'MN', query: 'education' });
       
       if (searchData.status === 'OK') {
         // Handle different possible response formats
@@ -133,10 +136,6 @@ export default async function handler(req, res) {
       addTest('getSearch (education)', false, `Request failed: ${error.message}`);
     }
 
-    // Test 4: API Key validation
-    const keyTest = API_KEY && API_KEY !== 'YOUR_API_KEY_HERE';
-    addTest('API Key', keyTest, keyTest ? 'API key is present' : 'API key is missing or default');
-
     // Return comprehensive results
     res.status(200).json({
       success: results.summary.failed === 0,
@@ -145,8 +144,8 @@ export default async function handler(req, res) {
       tests: results.tests,
       apiInfo: {
         endpoint: 'https://api.legiscan.com',
-        keyPresent: !!API_KEY,
-        keySource: process.env.LEGISCAN_API_KEY ? 'environment' : 'hardcoded',
+        config: configStatus(['legiscanApiKey']),
+        usage: await legiscan.usage(),
         documentation: 'https://legiscan.com/gaits/documentation/legiscan'
       },
       nextSteps: results.summary.failed === 0 ? [
@@ -168,5 +167,7 @@ export default async function handler(req, res) {
       message: 'API test failed. Check server logs for details.',
       timestamp: new Date().toISOString()
     });
+  } finally {
+    await legiscan?.flushUsage();
   }
 }
@@ -1,27 +1,71 @@
+import { loadFieldMap, resolveFieldMap } from '../lib/field-map.js';
+import { loadLegislatorFieldMap, resolveLegislatorFieldMap } from '../lib/legislators.js';
+import { loadRenderTemplates } from '../lib/render.js';
+import { requireTestAuth } from '../lib/auth.js';
+import { requireConfig, configStatus } from '../lib/config.js';
+import { createWebflowClient } from '../lib/webflow.js';
+
 export default async function handler(req, res) {
+  if (!requireTestAuth(req, res)) return;
+
   try {
-    const token = process.env.WEBFLOW_API_TOKEN;
-    const collectionId = "68b8b074ed73a91391908240"; // Your Bills collection ID
-    
-    if (!token) {
-      return res.status(400).json({ error: 'Missing API token' });
-    }
-    
+    const config = requireConfig(res, ['webflowToken', 'collectionId', 'siteId', 'legislatorsCollectionId']);
+    if (!config) return;
+    const token = config.webflowToken;
+    const collectionId = config.collectionId;
+
     // Get detailed collection info including fields
-    const response = await fetch(`https://api.webflow.com/v2/collections/${collectionId}`, {
-      headers: { Authorization: `Bearer ${token}` }
-    });
-    
-    const data = await response.json();
-    
+    const webflow = createWebflowClient({ token, collectionId, retries: 1 });
+    let data, status = 200;
+    try {
+      data = await webflow.getCollection();
+    } catch (err) {
+      status = err.status || 500;
+      data = { message: err.message, details: err.details };
+    }
+
+    // Check the sync's field mapping against this collection
+    let fieldMapping;
+    try {
+      const map = loadFieldMap();
+      const { ok, problems, fields } = resolveFieldMap(map, data);
+      fieldMapping = { source: map.source, ok, problems, fields };
+    } catch (err) {
+      fieldMapping = { ok: false, error: err.message };
+    }
+
+    // ...and the legislator directory's, when that collection is configured
+    let legislatorMapping;
+    if (config.legislatorsCollectionId) {
+      try {
+        const map = loadLegislatorFieldMap();
+        const { ok, problems, fields } = resolveLegislatorFieldMap(map, await webflow.getCollection(config.legislatorsCollectionId));
+        legislatorMapping = { source: map.source, ok, problems, fields };
+      } catch (err) {
+        legislatorMapping = { ok: false, error: err.message };
+      }
+    }
+
+    // Timeline / sponsor templates
+    let renderTemplates;
+    try {
+      renderTemplates = { source: loadRenderTemplates().source, ok: true };
+    } catch (err) {
+      renderTemplates = { ok: false, error: err.message };
+    }
+
     return res.json({
-      success: response.ok,
-      status: response.status,
+      success: status === 200,
+      status,
       collection: data,
       fieldsCount: data.fields ? data.fields.length : 0,
-      fieldNames: data.fields ? data.fields.map(f => f.displayName) : []
+      fieldNames: data.fields ? data.fields.map(f => f.displayName) : [],
+      fieldMapping,
+      legislatorMapping,
+      renderTemplates,
+      config: configStatus(['webflowToken', 'collectionId', 'siteId', 'legislatorsCollectionId'])
     });
-    
+
   } catch (error) {
     return res.json({ success: false, error: error.message });
   }
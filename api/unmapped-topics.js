@@ -0,0 +1,59 @@
+// /api/unmapped-topics.js
+// LegiScan subjects and committees that sync-bills couldn't map to the site's
+// topics / committees, with the bills they came from, so editors can extend
+// the alias table in TOPICS_CONFIG / TOPICS_CONFIG_FILE (see lib/topics.js).
+// Names the current table maps, or that now match a topic / committee on the
+// site directly, are left out.
+// Usage: /api/unmapped-topics; POST with ?reset=1 clears the collected names,
+// and always takes the sync secret (see lib/auth.js)
+
+import { getStore } from '../lib/store.js';
+import { requireAuth, requireTestAuth } from '../lib/auth.js';
+import { requireConfig } from '../lib/config.js';
+import { createWebflowClient } from '../lib/webflow.js';
+import { loadFieldMap, resolveFieldMap } from '../lib/field-map.js';
+import { loadTopicConfig, loadTaxonomy, unmappedReport, clearUnmapped } from '../lib/topics.js';
+
+export default async function handler(req, res) {
+  const reset = req.method === 'POST' && ['1', 'true'].includes(String(req.query?.reset || '').toLowerCase());
+  if (reset ? !requireAuth(req, res, { methods: ['POST'], cronGet: false }) : !requireTestAuth(req, res)) return;
+
+  try {
+    let config;
+    try {
+      config = loadTopicConfig();
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    const store = getStore();
+    if (reset) {
+      await clearUnmapped(store);
+      await store.flush();
+      return res.json({ success: true, reset: true });
+    }
+
+    const settings = requireConfig(res, ['webflowToken', 'collectionId']);
+    if (!settings) return;
+    const webflow = createWebflowClient({ token: settings.webflowToken, collectionId: settings.collectionId });
+    const collection = await webflow.getCollection();
+    const { fields } = resolveFieldMap(loadFieldMap(), collection);
+    const taxonomy = await loadTaxonomy({
+      webflow,
+      collection,
+      fields: { topics: fields.topics, houseCommittee: fields.houseCommittee, senateCommittee: fields.senateCommittee },
+    });
+
+    const report = await unmappedReport(store, config, taxonomy);
+    return res.json({
+      success: true,
+      configSource: config.source,
+      aliases: { subjects: config.subjects.size, committees: config.committees.size, ignored: config.ignore.size },
+      summary: { subjects: report.subjects.length, committees: report.committees.length },
+      ...report
+    });
+
+  } catch (error) {
+    return res.json({ success: false, error: error.message });
+  }
+}
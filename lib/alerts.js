@@ -0,0 +1,233 @@
+// /lib/alerts.js
+// Alerts on bill transitions. The sync keeps a small snapshot of each LegiScan
+// bill (status, history actions, roll calls, text versions) in the store and,
+// on the next run, sends what changed to the configured targets.
+//
+// Targets come from ALERTS_CONFIG (a JSON string) or ALERTS_CONFIG_FILE. Example:
+//   { "targets": [
+//       { "type": "webhook", "url": "https://example.org/hooks/bills" },
+//       { "type": "slack", "url": "https://hooks.slack.com/services/...", "bills": ["HF12", "SF916"] },
+//       { "type": "email", "to": ["policy@example.org"], "from": "tracker@example.org",
+//         "smtp": { "host": "smtp.example.org", "port": 587 }, "events": ["status", "vote"] } ],
+//     "retries": 3, "timeoutMs": 10000 }
+// `bills` limits a target to those bill numbers (or Webflow item ids), `events`
+// to those transition types: status, history, vote, text. SMTP credentials can
+// be left out of the file and set as SMTP_USER / SMTP_PASS.
+//
+// Transitions a target couldn't take after all retries are queued in the store
+// under `alertQueue:<target name>` and sent ahead of the next run's, so an
+// outage delays alerts rather than losing them.
+
+import { readFileSync } from "fs";
+import { sendMail } from "./smtp.js";
+
+export const EVENT_TYPES = ["status", "history", "vote", "text"];
+const TARGET_TYPES = ["webhook", "slack", "email"];
+
+export function loadAlertConfig(env = process.env) {
+  const source = env.ALERTS_CONFIG ? "ALERTS_CONFIG" : env.ALERTS_CONFIG_FILE || null;
+  let config = {};
+  try {
+    if (env.ALERTS_CONFIG) config = JSON.parse(env.ALERTS_CONFIG);
+    else if (env.ALERTS_CONFIG_FILE) config = JSON.parse(readFileSync(env.ALERTS_CONFIG_FILE, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid alerts config in ${source}: ${err.message}`);
+  }
+
+  const targets = (config.targets || []).map((t, i) => {
+    const name = t.name || `${t.type}#${i + 1}`;
+    if (!TARGET_TYPES.includes(t.type)) throw new Error(`Alert target ${name}: unknown type "${t.type}"`);
+    if (t.type !== "email" && !t.url) throw new Error(`Alert target ${name}: missing url`);
+    if (t.type === "email" && !(t.to?.length && t.from && t.smtp?.host)) {
+      throw new Error(`Alert target ${name}: email targets need to, from and smtp.host`);
+    }
+    const badEvent = (t.events || []).find(e => !EVENT_TYPES.includes(e));
+    if (badEvent) throw new Error(`Alert target ${name}: unknown event "${badEvent}"`);
+    const smtp = t.type === "email"
+      ? { user: env.SMTP_USER, pass: env.SMTP_PASS, ...t.smtp }
+      : undefined;
+    return {
+      ...t,
+      name,
+      smtp,
+      bills: t.bills ? t.bills.map(b => String(b).toUpperCase().replace(/[\s.\-]+/g, "")) : null,
+      events: t.events || null,
+    };
+  });
+
+  return {
+    source: source || "none",
+    targets,
+    retries: Number.isInteger(config.retries) ? config.retries : 3,
+    retryDelayMs: Number(config.retryDelayMs) || 1000,
+    timeoutMs: Number(config.timeoutMs) || 10000,
+  };
+}
+
+// --- Snapshots and transitions -----------------------------------------------
+export const snapshotKey = (legiscanBillId) => `alertSnapshot:${legiscanBillId}`;
+
+const historyKey = (h) => `${h.date}|${h.action}`;
+
+export function snapshotBill(info, { statusKey, stage } = {}) {
+  return {
+    statusKey: statusKey || null,
+    stage: stage?.label || null,
+    history: (info.history || []).map(historyKey),
+    votes: (info.votes || []).map(v => v.roll_call_id),
+    texts: (info.texts || []).map(t => t.doc_id),
+  };
+}
+
+// Nothing is reported for a bill seen for the first time
+export function detectTransitions(prev, snapshot, info) {
+  if (!prev) return [];
+  const out = [];
+  if (prev.statusKey !== snapshot.statusKey || prev.stage !== snapshot.stage) {
+    out.push({
+      type: "status",
+      from: { status: prev.statusKey, stage: prev.stage },
+      to: { status: snapshot.statusKey, stage: snapshot.stage },
+    });
+  }
+  const seenHistory = new Set(prev.history || []);
+  (info.history || []).filter(h => !seenHistory.has(historyKey(h))).forEach(h =>
+    out.push({ type: "history", date: h.date, chamber: h.chamber, action: h.action }));
+  const seenVotes = new Set(prev.votes || []);
+  (info.votes || []).filter(v => !seenVotes.has(v.roll_call_id)).forEach(v =>
+    out.push({ type: "vote", rollCallId: v.roll_call_id, date: v.date, desc: v.desc, yea: v.yea, nay: v.nay, passed: v.passed }));
+  const seenTexts = new Set(prev.texts || []);
+  (info.texts || []).filter(t => !seenTexts.has(t.doc_id)).forEach(t =>
+    out.push({ type: "text", docId: t.doc_id, date: t.date, textType: t.type ?? t.type_text }));
+  return out;
+}
+
+// Compares a freshly fetched bill with its stored snapshot. The caller saves
+// `snapshot` under `key` once the transitions have been dispatched.
+export async function checkBill(store, info, { statusKey, stage, bill }) {
+  const key = snapshotKey(info.bill_id);
+  const snapshot = snapshotBill(info, { statusKey, stage });
+  const transitions = detectTransitions(await store.get(key), snapshot, info).map(t => ({ ...bill, ...t }));
+  return { key, snapshot, transitions };
+}
+
+// --- Formatting --------------------------------------------------------------
+export function describeTransition(t) {
+  switch (t.type) {
+    case "status": {
+      const parts = [];
+      if (t.from.status !== t.to.status) parts.push(`status ${t.from.status || "none"} → ${t.to.status}`);
+      if (t.from.stage !== t.to.stage) parts.push(`${t.from.stage || "none"} → ${t.to.stage}`);
+      return parts.join("; ");
+    }
+    case "history": return `${t.date}: ${t.action}`;
+    case "vote": return `Vote ${t.date}: ${t.desc || "Roll call"} (Yea ${t.yea ?? 0}, Nay ${t.nay ?? 0})${t.passed ? " – Passed" : ""}`;
+    case "text": return `New text ${t.date}: ${t.textType || "version"}`;
+    default: return t.type;
+  }
+}
+
+const billLabel = (t) => `${t.billNumber}${t.state ? ` (${t.state})` : ""}${t.title ? ` – ${t.title}` : ""}`;
+
+function groupByBill(transitions) {
+  const groups = new Map();
+  transitions.forEach(t => {
+    const k = `${t.itemId}|${t.billNumber}`;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(t);
+  });
+  return [...groups.values()];
+}
+
+export function buildDigestText(transitions) {
+  return groupByBill(transitions).map(group => {
+    const head = billLabel(group[0]) + (group[0].url ? `\n${group[0].url}` : "");
+    return `${head}\n${group.map(t => `  - ${describeTransition(t)}`).join("\n")}`;
+  }).join("\n\n");
+}
+
+export function buildSlackPayload(transitions) {
+  const lines = groupByBill(transitions).map(group => {
+    const t0 = group[0];
+    const name = t0.url ? `<${t0.url}|${t0.billNumber}>` : t0.billNumber;
+    return `*${name}*${t0.title ? ` ${t0.title}` : ""}\n${group.map(t => `• ${describeTransition(t)}`).join("\n")}`;
+  });
+  return { text: `${transitions.length} bill update${transitions.length === 1 ? "" : "s"}\n\n${lines.join("\n\n")}` };
+}
+
+// --- Dispatch ----------------------------------------------------------------
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function withRetry(fn, { retries, retryDelayMs }) {
+  let attempt = 0;
+  for (;;) {
+    attempt++;
+    try {
+      await fn();
+      return { ok: true, attempts: attempt };
+    } catch (err) {
+      if (attempt > retries) return { ok: false, attempts: attempt, error: err.message };
+      await sleep(retryDelayMs * 2 ** (attempt - 1));
+    }
+  }
+}
+
+async function postJson(url, payload, timeoutMs) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!r.ok) throw new Error(`${r.status} ${r.statusText}`);
+}
+
+export function transitionsFor(target, transitions) {
+  return transitions.filter(t =>
+    (!target.events || target.events.includes(t.type)) &&
+    (!target.bills || target.bills.includes(t.billNumber) || target.bills.includes(String(t.itemId).toUpperCase())));
+}
+
+export const queueKey = (target) => `alertQueue:${target.name}`;
+const MAX_QUEUED = 500; // per target; the oldest go first
+
+// -> [{ target, type, count, ok, attempts, error, queued }]. With `store`, a
+// target's undelivered transitions are kept for the next call.
+export async function dispatchAlerts(transitions, config, { store } = {}) {
+  const deliveries = [];
+  const timeoutMs = config.timeoutMs || 10000;
+  for (const target of config.targets) {
+    const queued = store ? (await store.get(queueKey(target))) || [] : [];
+    const mine = [...queued, ...transitionsFor(target, transitions)];
+    if (!mine.length) continue;
+
+    let send;
+    if (target.type === "webhook") {
+      send = () => postJson(target.url, { event: "bill.transitions", timestamp: new Date().toISOString(), transitions: mine }, timeoutMs);
+    } else if (target.type === "slack") {
+      send = () => postJson(target.url, buildSlackPayload(mine), timeoutMs);
+    } else {
+      const bills = groupByBill(mine).length;
+      send = () => sendMail({
+        ...target.smtp,
+        from: target.from,
+        to: target.to,
+        subject: target.subject || `Bill tracker: ${mine.length} update${mine.length === 1 ? "" : "s"} on ${bills} bill${bills === 1 ? "" : "s"}`,
+        text: buildDigestText(mine),
+        timeoutMs,
+      });
+    }
+
+    const outcome = await withRetry(send, config);
+    let requeued = 0;
+    if (store && !outcome.ok) {
+      const keep = mine.slice(-MAX_QUEUED);
+      await store.set(queueKey(target), keep);
+      requeued = keep.length;
+    } else if (store && queued.length) {
+      await store.delete(queueKey(target));
+    }
+    deliveries.push({ target: target.name, type: target.type, count: mine.length, ...outcome, queued: requeued || undefined });
+  }
+  return deliveries;
+}
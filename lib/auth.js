@@ -0,0 +1,76 @@
+// /lib/auth.js
+// Shared-secret protection for endpoints that write to Webflow or spend API quota.
+//
+// A request is authorized by either
+//   - `Authorization: Bearer <secret>` (what Vercel Cron sends when CRON_SECRET is set), or
+//   - an HMAC signature: `X-Signature-Timestamp: <unix seconds>` and
+//     `X-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<METHOD>.<path and query>">`,
+//     accepted for five minutes either side of the server clock.
+// Secrets are SYNC_SECRET and/or CRON_SECRET; either one is accepted.
+// The test endpoints only check when PROTECT_TEST_ENDPOINTS=1, except the ones
+// that send messages or delete data (test-alerts, unmapped-topics' reset).
+
+import crypto from "crypto";
+
+const MAX_SKEW_SECONDS = 300;
+
+export function configuredSecrets(env = process.env) {
+  return [env.SYNC_SECRET, env.CRON_SECRET].filter(Boolean);
+}
+
+const header = (req, name) => {
+  const v = req.headers?.[name];
+  return Array.isArray(v) ? v[0] : v || "";
+};
+
+// Compares digests so neither length nor content leaks through timing
+function safeEqual(a, b) {
+  const h = (s) => crypto.createHash("sha256").update(String(s)).digest();
+  return crypto.timingSafeEqual(h(a), h(b));
+}
+
+export function signRequest(secret, { method, url, timestamp = Math.floor(Date.now() / 1000) }) {
+  const hex = crypto.createHmac("sha256", secret).update(`${timestamp}.${method.toUpperCase()}.${url}`).digest("hex");
+  return { timestamp: String(timestamp), signature: `sha256=${hex}` };
+}
+
+function checkSignature(req, secrets) {
+  const timestamp = header(req, "x-signature-timestamp");
+  const signature = header(req, "x-signature");
+  if (!timestamp || !signature) return false;
+  if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_SKEW_SECONDS) return false;
+  return secrets.some(secret =>
+    safeEqual(signRequest(secret, { method: req.method || "GET", url: req.url || "", timestamp }).signature, signature));
+}
+
+const isCronRequest = (req) => /^vercel-cron\//i.test(header(req, "user-agent"));
+
+// -> { ok } or { ok: false, status, error }
+export function authorize(req, { methods = ["POST"], cronGet = true, env = process.env } = {}) {
+  const method = String(req.method || "GET").toUpperCase();
+  const allowed = method === "GET" && cronGet && isCronRequest(req) ? true : methods.includes(method);
+  if (!allowed) return { ok: false, status: 405, error: "Method not allowed", allow: methods };
+
+  const secrets = configuredSecrets(env);
+  if (!secrets.length) return { ok: false, status: 500, error: "SYNC_SECRET or CRON_SECRET is not configured" };
+
+  const bearer = header(req, "authorization").match(/^Bearer\s+(.+)$/i)?.[1];
+  if (bearer && secrets.some(secret => safeEqual(secret, bearer))) return { ok: true };
+  if (checkSignature(req, secrets)) return { ok: true };
+  return { ok: false, status: 401, error: "Unauthorized" };
+}
+
+// Writes the error response and returns false when the request isn't allowed
+export function requireAuth(req, res, options) {
+  const result = authorize(req, options);
+  if (result.ok) return true;
+  if (result.allow) res.setHeader("Allow", result.allow.join(", "));
+  res.status(result.status).json({ success: false, error: result.error });
+  return false;
+}
+
+// Opt-in guard for the diagnostic endpoints
+export function requireTestAuth(req, res, env = process.env) {
+  if (!["1", "true"].includes(String(env.PROTECT_TEST_ENDPOINTS || "").toLowerCase())) return true;
+  return requireAuth(req, res, { methods: ["GET", "POST"], cronGet: false, env });
+}
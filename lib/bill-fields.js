@@ -0,0 +1,213 @@
+// /lib/bill-fields.js
+// The field values of a bill item, computed from its LegiScan bill(s): LegiScan
+// ids, title, status and stage, timelines, sponsors, topics and committees,
+// sponsor references, votes, text changes, links and slug. sync-bills uses it
+// to update existing items and add-bills to fill new ones, so both write the
+// same values.
+
+import { getStateProfile, chamberName, parseLegislativeYear } from "./states.js";
+import { deriveStage, computeStatusKey } from "./status.js";
+import { getTextChanges, buildTextChangesHtml } from "./bill-text.js";
+import { mapSubjects, mapCommittee, mergeTopicValue } from "./topics.js";
+import {
+  isPlaceholderName, pickBestTextUrl, esc, fmt, buildTimelineHtml, buildSponsorsHtml, billSlug,
+  timelineData, sponsorData,
+} from "./render.js";
+
+// `mapping` is resolveFieldMap()'s result, `templates` loadRenderTemplates()'s.
+// `taxonomy` / `topicConfig` (lib/topics.js) and `legislators`
+// (lib/legislators.js) are optional; without them those fields are left alone.
+// Subjects and committees the alias table can't place are passed to
+// `onUnmapped(kind, name, billNumber)`, alias targets the site lacks to
+// `onMissingTopic(name)`.
+export function createBillFieldBuilder({
+  mapping, templates, legiscan, store,
+  taxonomy = null, topicConfig = null, legislators = null,
+  voteDetail = false, dryRun = false,
+  onUnmapped = () => {}, onMissingTopic = () => {},
+}) {
+  const F = mapping.fields;
+
+  // --- Roll-call votes -------------------------------------------------------
+  const rollCalls = new Map();      // roll_call_id -> Promise<roll_call>
+  const sessionPeople = new Map();  // session_id -> Promise<Map(people_id -> person)>
+
+  function fetchRollCall(id) {
+    if (!rollCalls.has(id)) {
+      rollCalls.set(id, (async () => {
+        const data = await legiscan.getRollCall(id);
+        if (data.status !== "OK" || !data.roll_call) throw new Error(data.alert?.message || `Roll call not found: ${id}`);
+        return data.roll_call;
+      })());
+    }
+    return rollCalls.get(id);
+  }
+
+  function fetchSessionPeople(sessionId) {
+    if (!sessionPeople.has(sessionId)) {
+      sessionPeople.set(sessionId, (async () => {
+        const data = await legiscan.getSessionPeople(sessionId);
+        const people = data.status === "OK" ? data.sessionpeople?.people || [] : [];
+        return new Map(people.map(p => [p.people_id, p]));
+      })().catch(() => new Map()));
+    }
+    return sessionPeople.get(sessionId);
+  }
+
+  async function buildVotesHtml(info, { state, detail = false } = {}) {
+    const votes = Array.isArray(info?.votes) ? [...info.votes] : [];
+    if (!votes.length) return "";
+    votes.sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+
+    const people = detail && info.session_id ? await fetchSessionPeople(info.session_id) : new Map();
+    const blocks = [];
+    for (const v of votes) {
+      // Fall back to the summary embedded in getBill if the roll call can't be loaded
+      const rc = await fetchRollCall(v.roll_call_id).catch(() => v);
+      const chamber = chamberName(getStateProfile(state), rc.chamber);
+      const heading = [fmt(rc.date), chamber].filter(Boolean).join(" – ");
+      const outcome = Number(rc.passed) === 1 ? "Passed" : "Failed";
+      const tally = `Yea ${rc.yea ?? 0}, Nay ${rc.nay ?? 0}, NV ${rc.nv ?? 0}, Absent ${rc.absent ?? 0} – ${outcome}`;
+
+      let html = `<p><strong>${esc(heading)}</strong><br>${esc(rc.desc || "Roll call")}<br>${esc(tally)}`;
+      if (detail && Array.isArray(rc.votes) && rc.votes.length) {
+        const byVote = new Map();
+        rc.votes.forEach(x => {
+          const name = people.get(x.people_id)?.name || `#${x.people_id}`;
+          const key = x.vote_text || "Other";
+          if (!byVote.has(key)) byVote.set(key, []);
+          byVote.get(key).push(name);
+        });
+        byVote.forEach((names, key) => {
+          html += `<br><em>${esc(key)}:</em> ${names.sort().map(esc).join(", ")}`;
+        });
+      }
+      blocks.push(html + "</p>");
+    }
+    return blocks.join("<br>");
+  }
+
+  const textChangesHtml = async (info) =>
+    buildTextChangesHtml(await getTextChanges(info, { legiscan, store }), { fmtDate: fmt });
+
+  // `current` is the item's fieldData ({} for a new item). A chamber without a
+  // number gets null in its fields. -> { fieldData, title, topics,
+  // house: { stage, statusKey }, senate: { ... }, rendered: { markup by attribute } }
+  async function build({ state, legislativeYear, primaryInfo, houseNumber, houseInfo, senateNumber, senateInfo, current = {} }) {
+    const fieldData = {};
+    const put = (attr, value) => { if (F[attr]) fieldData[F[attr]] = value; };
+    const { year } = parseLegislativeYear(legislativeYear);
+    const primaryNumber = houseNumber || senateNumber;
+
+    // Resolved LegiScan ids, so later runs fetch the same bills by id
+    const idValue = (attr, v) => (v == null ? null : mapping.types[attr] === "Number" ? Number(v) : String(v));
+    put("houseBillId", idValue("houseBillId", houseNumber ? houseInfo?.bill_id : null));
+    put("senateBillId", idValue("senateBillId", senateNumber ? senateInfo?.bill_id : null));
+    put("sessionId", idValue("sessionId", primaryInfo.session_id ?? primaryInfo.session?.session_id));
+
+    // Title
+    const currentName = String(current[F.title] || "").trim();
+    let title = currentName;
+    if (isPlaceholderName(currentName, primaryNumber, { state })) {
+      title = primaryInfo.title || primaryNumber;
+      put("title", title);
+    }
+
+    // Status (separate): the detailed stage, and the four-option status derived from it
+    const houseStage = houseNumber && houseInfo ? deriveStage(houseInfo, { state }) : null;
+    const senateStage = senateNumber && senateInfo ? deriveStage(senateInfo, { state }) : null;
+    const houseStatusKey = houseStage ? computeStatusKey(houseInfo, { state, legislativeYear: year }) : null;
+    const senateStatusKey = senateStage ? computeStatusKey(senateInfo, { state, legislativeYear: year }) : null;
+    if (houseStage) {
+      put("houseStatus", mapping.statusIds.house[houseStatusKey]);
+      put("houseStage", houseStage.label);
+    }
+    if (senateStage) {
+      put("senateStatus", mapping.statusIds.senate[senateStatusKey]);
+      put("senateStage", senateStage.label);
+    }
+
+    // --- Timelines (markup from RENDER_TEMPLATES, plus JSON when the fields exist) ---
+    const rendered = {
+      timeline: buildTimelineHtml(primaryInfo, { state, template: templates.timeline }) || "",
+      houseTimeline: houseInfo ? buildTimelineHtml(houseInfo, { state, template: templates.houseTimeline }) || "" : "",
+      senateTimeline: senateInfo ? buildTimelineHtml(senateInfo, { state, template: templates.senateTimeline }) || "" : "",
+      sponsors: buildSponsorsHtml(primaryInfo, { state, template: templates.sponsors }) || "",
+      houseSponsors: houseInfo ? buildSponsorsHtml(houseInfo, { state, template: templates.houseSponsors }) || "" : "",
+      senateSponsors: senateInfo ? buildSponsorsHtml(senateInfo, { state, template: templates.senateSponsors }) || "" : "",
+    };
+    put("timeline", rendered.timeline);
+    put("houseTimeline", houseNumber ? rendered.houseTimeline : null);
+    put("senateTimeline", senateNumber ? rendered.senateTimeline : null);
+    put("timelineJson", JSON.stringify(timelineData(primaryInfo)));
+    put("houseTimelineJson", houseNumber ? JSON.stringify(timelineData(houseInfo)) : null);
+    put("senateTimelineJson", senateNumber ? JSON.stringify(timelineData(senateInfo)) : null);
+
+    // --- Sponsors (primary + per chamber) -------------------------------------
+    put("sponsors", rendered.sponsors);
+    put("houseSponsors", houseNumber ? rendered.houseSponsors : null);
+    put("senateSponsors", senateNumber ? rendered.senateSponsors : null);
+    put("sponsorsJson", JSON.stringify(sponsorData(primaryInfo, { state })));
+    put("houseSponsorsJson", houseNumber ? JSON.stringify(sponsorData(houseInfo, { state })) : null);
+    put("senateSponsorsJson", senateNumber ? JSON.stringify(sponsorData(senateInfo, { state })) : null);
+
+    // --- Topics and current committees ----------------------------------------
+    let topics = [];
+    if (taxonomy) {
+      if (F.topics) {
+        const subjects = [primaryInfo, houseInfo, senateInfo].flatMap(i => i?.subjects || []);
+        const { topics: mapped, unmapped: names } = mapSubjects(subjects, topicConfig, taxonomy);
+        names.forEach(n => onUnmapped("subjects", n, primaryNumber));
+        topics = mapped;
+        const { value, unknown } = taxonomy.value("topics", mapped);
+        unknown.forEach(n => onMissingTopic(n));
+        const merged = mergeTopicValue(current[F.topics], value);
+        if (merged !== undefined) put("topics", merged);
+      }
+      const committeeChecks = [["houseCommittee", houseNumber, houseStage], ["senateCommittee", senateNumber, senateStage]];
+      for (const [attr, number, stage] of committeeChecks) {
+        if (!F[attr] || !number) continue;
+        const raw = stage?.stage === "in_committee" ? stage.committee : null;
+        const { committee, unmapped: name } = mapCommittee(raw, topicConfig, taxonomy, attr);
+        if (name) onUnmapped("committees", name, number);
+        const { value, unknown } = taxonomy.value(attr, [committee]);
+        unknown.forEach(n => onMissingTopic(n));
+        put(attr, value ?? null);
+      }
+    }
+
+    // References to the sponsors' legislator items
+    if (legislators) {
+      put("sponsorRefs", await legislators.refsFor(primaryInfo, { state, dryRun }));
+      put("houseSponsorRefs", houseInfo ? await legislators.refsFor(houseInfo, { state, dryRun }) : []);
+      put("senateSponsorRefs", senateInfo ? await legislators.refsFor(senateInfo, { state, dryRun }) : []);
+    }
+
+    // --- Votes and text version changes (only when the collection has the fields) ---
+    if (F.houseVotes) put("houseVotes", houseNumber ? await buildVotesHtml(houseInfo, { state, detail: voteDetail }) : null);
+    if (F.senateVotes) put("senateVotes", senateNumber ? await buildVotesHtml(senateInfo, { state, detail: voteDetail }) : null);
+    if (F.houseTextChanges) put("houseTextChanges", houseNumber ? await textChangesHtml(houseInfo) : null);
+    if (F.senateTextChanges) put("senateTextChanges", senateNumber ? await textChangesHtml(senateInfo) : null);
+
+    // Links
+    const houseLink = houseNumber ? pickBestTextUrl(houseInfo) : null;
+    const senateLink = senateNumber ? pickBestTextUrl(senateInfo) : null;
+    if (houseLink) put("houseLink", houseLink);
+    if (senateLink) put("senateLink", senateLink);
+
+    // Slug (a field like any other in API v2)
+    const slug = billSlug({ legislativeYear, houseNumber, senateNumber, title });
+    if (slug) fieldData.slug = slug;
+
+    return {
+      fieldData,
+      title,
+      topics,
+      house: { stage: houseStage, statusKey: houseStatusKey },
+      senate: { stage: senateStage, statusKey: senateStatusKey },
+      rendered,
+    };
+  }
+
+  return { build };
+}
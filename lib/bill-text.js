@@ -0,0 +1,242 @@
+// /lib/bill-text.js
+// Bill text versions from LegiScan getBillText: plain-text extraction,
+// per-version snapshots and human-readable change summaries.
+//
+// Snapshots keep section fingerprints and word counts rather than the full
+// text, so the store stays small enough to rewrite on every sync.
+
+import crypto from "crypto";
+import zlib from "zlib";
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", sect: "§", ndash: "–", mdash: "—" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+export function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, "")
+      // Struck-through text is language being deleted by an amendment
+      .replace(/<(s|strike|del)\b[\s\S]*?<\/\1>/gi, "")
+      .replace(/<(br|\/p|\/div|\/h\d|\/li|\/tr)\b[^>]*>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t\r\f\v]+/g, " ")
+    .replace(/\n\s*/g, "\n")
+    .trim();
+}
+
+// Best-effort PDF text extraction: inflate content streams and read the
+// strings passed to the Tj/TJ/'/" operators. Good enough for the simple
+// text-only PDFs legislatures publish; scanned documents yield nothing.
+export function pdfToText(buf) {
+  const raw = buf.toString("latin1");
+  const out = [];
+  const re = /<<([\s\S]*?)>>\s*stream\r?\n/g;
+  let m;
+  while ((m = re.exec(raw))) {
+    const start = m.index + m[0].length;
+    const end = raw.indexOf("endstream", start);
+    if (end < 0) break;
+    let data = buf.subarray(start, end);
+    if (/\/FlateDecode/.test(m[1])) {
+      try { data = zlib.inflateSync(data); } catch { try { data = zlib.inflateRawSync(data.subarray(2)); } catch { continue; } }
+    } else if (/\/Filter/.test(m[1])) {
+      continue; // images and other encodings
+    }
+    const text = readContentStream(data.toString("latin1"));
+    if (text) out.push(text);
+    re.lastIndex = end;
+  }
+  return out.join("\n").replace(/[ \t]+/g, " ").replace(/\n\s*/g, "\n").trim();
+}
+
+function readPdfString(s, i) {
+  // s[i] === "("; returns [string, nextIndex]
+  let depth = 0, str = "";
+  for (let j = i; j < s.length; j++) {
+    const c = s[j];
+    if (c === "\\") {
+      const n = s[++j];
+      if (/[0-7]/.test(n)) {
+        const oct = s.slice(j, j + 3).match(/^[0-7]{1,3}/)[0];
+        str += String.fromCharCode(parseInt(oct, 8));
+        j += oct.length - 1;
+      } else {
+        str += { n: "\n", r: "", t: " ", b: "", f: "" }[n] ?? n;
+      }
+    } else if (c === "(") {
+      if (depth++) str += c;
+    } else if (c === ")") {
+      if (--depth === 0) return [str, j + 1];
+      str += c;
+    } else if (depth) {
+      str += c;
+    }
+  }
+  return [str, s.length];
+}
+
+function readContentStream(s) {
+  if (!/\bBT\b/.test(s)) return "";
+  const opRe = /(Tj|TJ|Td|TD|T\*|ET|'|")(?![A-Za-z])/y;
+  let text = "", pending = [];
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === "(") {
+      const [str, next] = readPdfString(s, i);
+      pending.push(str);
+      i = next - 1;
+      continue;
+    }
+    opRe.lastIndex = i;
+    const op = opRe.exec(s);
+    if (!op) continue;
+    if (op[1] === "Tj" || op[1] === "TJ") text += pending.join("");
+    else if (op[1] === "'" || op[1] === '"') text += "\n" + pending.join("");
+    else text += "\n";
+    pending = [];
+    i += op[1].length - 1;
+  }
+  return text;
+}
+
+export function extractPlainText(buf, mime = "") {
+  if (/pdf/i.test(mime) || buf.subarray(0, 5).toString() === "%PDF-") return pdfToText(buf);
+  const s = buf.toString("utf8");
+  if (/html/i.test(mime) || /<(html|body|p|div)\b/i.test(s)) return htmlToText(s);
+  return s.trim();
+}
+
+// --- Sections and snapshots ---------------------------------------------------
+
+const SECTION_RE = /^\s*(?:Section|Sec\.|SECTION|SEC\.)\s+(\d+[A-Za-z]?)\.?/gm;
+const countWords = (s) => (s.match(/\S+/g) || []).length;
+
+export function splitSections(text) {
+  const marks = [];
+  let m;
+  while ((m = SECTION_RE.exec(text))) marks.push({ id: `Sec. ${m[1]}`, index: m.index });
+  SECTION_RE.lastIndex = 0;
+  if (!marks.length) return [{ id: "Full text", body: text }];
+
+  const sections = [];
+  if (marks[0].index > 0) sections.push({ id: "Preamble", body: text.slice(0, marks[0].index) });
+  marks.forEach((mk, i) => sections.push({ id: mk.id, body: text.slice(mk.index, marks[i + 1]?.index ?? text.length) }));
+
+  // Articles restart section numbering; keep ids unique
+  const seen = new Map();
+  return sections.map(sec => {
+    const n = (seen.get(sec.id) || 0) + 1;
+    seen.set(sec.id, n);
+    return n > 1 ? { ...sec, id: `${sec.id} (${n})` } : sec;
+  });
+}
+
+export function snapshotText(text, meta = {}) {
+  const sections = {};
+  splitSections(text).forEach(sec => {
+    const norm = sec.body.replace(/\s+/g, " ").trim();
+    sections[sec.id] = {
+      hash: crypto.createHash("sha1").update(norm).digest("hex").slice(0, 12),
+      words: countWords(norm),
+    };
+  });
+  return { ...meta, words: countWords(text), sections };
+}
+
+export function compareSnapshots(older, newer) {
+  const a = older.sections || {}, b = newer.sections || {};
+  const added = Object.keys(b).filter(id => !(id in a));
+  const removed = Object.keys(a).filter(id => !(id in b));
+  const modified = Object.keys(b).filter(id => id in a && a[id].hash !== b[id].hash);
+  const wordDelta = (newer.words || 0) - (older.words || 0);
+  return {
+    from: { doc_id: older.doc_id, type: older.type, date: older.date },
+    to: { doc_id: newer.doc_id, type: newer.type, date: newer.date },
+    sectionsAdded: added,
+    sectionsRemoved: removed,
+    sectionsModified: modified,
+    wordsBefore: older.words || 0,
+    wordsAfter: newer.words || 0,
+    wordDelta,
+    summary: describeChange({ added, removed, modified, wordDelta, older, newer }),
+  };
+}
+
+function describeChange({ added, removed, modified, wordDelta, older, newer }) {
+  const list = (ids) => (ids.length > 5 ? `${ids.slice(0, 5).join(", ")} and ${ids.length - 5} more` : ids.join(", "));
+  const plural = (n, w) => `${n} ${w}${n === 1 ? "" : "s"}`;
+  const parts = [];
+  if (added.length) parts.push(`${plural(added.length, "section")} added (${list(added)})`);
+  if (removed.length) parts.push(`${plural(removed.length, "section")} removed (${list(removed)})`);
+  if (modified.length) parts.push(`${plural(modified.length, "section")} amended (${list(modified)})`);
+  if (!parts.length) parts.push("no section-level changes");
+  const sign = wordDelta > 0 ? "+" : "";
+  const fmtN = (n) => n.toLocaleString("en-US");
+  return `${newer.type || "Latest"} vs ${older.type || "previous"}: ${parts.join("; ")}; ` +
+    `${sign}${fmtN(wordDelta)} words (${fmtN(older.words || 0)} → ${fmtN(newer.words || 0)})`;
+}
+
+// --- LegiScan ---------------------------------------------------------------
+
+// `legiscan` is a client from lib/legiscan.js
+export async function fetchBillTextDoc(legiscan, docId) {
+  const data = await legiscan.getBillText(docId);
+  if (data.status !== "OK" || !data.text) throw new Error(data.alert?.message || `Bill text not found: ${docId}`);
+  return data.text;
+}
+
+const sortTexts = (texts) =>
+  (Array.isArray(texts) ? [...texts] : []).sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0) || a.doc_id - b.doc_id);
+
+// Loads (or reuses stored) snapshots for every text version of a bill and
+// compares each version with the one before it, oldest first.
+export async function getTextChanges(info, { legiscan, store }) {
+  const texts = sortTexts(info?.texts);
+  const versions = [], errors = [];
+
+  for (const t of texts) {
+    const key = `billText:${t.doc_id}`;
+    let snap = store ? await store.get(key) : null;
+    if (!snap) {
+      try {
+        const doc = await fetchBillTextDoc(legiscan, t.doc_id);
+        const text = extractPlainText(Buffer.from(doc.doc || "", "base64"), doc.mime || t.mime);
+        snap = snapshotText(text, { doc_id: t.doc_id, bill_id: info.bill_id, type: t.type, date: t.date, mime: doc.mime || t.mime });
+        if (!text) snap.empty = true;
+        if (store) await store.set(key, snap);
+      } catch (err) {
+        errors.push({ doc_id: t.doc_id, error: err.message });
+        continue;
+      }
+    }
+    versions.push(snap);
+  }
+
+  const usable = versions.filter(v => !v.empty);
+  const changes = usable.slice(1).map((v, i) => compareSnapshots(usable[i], v));
+  return {
+    versions: versions.map(({ sections, ...meta }) => ({ ...meta, sectionCount: Object.keys(sections || {}).length })),
+    changes,
+    sinceIntroduced: usable.length > 1 ? compareSnapshots(usable[0], usable[usable.length - 1]) : null,
+    errors,
+  };
+}
+
+export function buildTextChangesHtml(result, { fmtDate = (d) => d } = {}) {
+  const esc = (s = "") => String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+  const items = [...(result?.changes || [])].reverse();
+  return items.map(c => {
+    const heading = [c.to.type, fmtDate(c.to.date)].filter(Boolean).join(" – ");
+    return `<p><strong>${esc(heading)}</strong><br>${esc(c.summary)}</p>`;
+  }).join("<br>");
+}
@@ -0,0 +1,248 @@
+// /lib/bills.js
+// Read model behind /api/bills (and the feeds / exports built on it). The sync
+// saves what it learned about each item's LegiScan bills in the store under
+// `billRecords:<collection id>`; the read side merges those records with the
+// live Webflow items into one shape for state and federal bills alike. The
+// records only reach the read side through a shared store (SYNC_STORE=redis, see
+// lib/store.js); without them bills carry just what the Webflow fields hold:
+//
+//   { id, slug, pageUrl, title, jurisdiction, jurisdictionName, year, updatedAt, syncedAt,
+//     house: { number, status, stage, stageLabel, committee, legiscanId, url,
+//              stateLink, lastAction: { date, action }, history, calendar } | null,
+//     senate: { ...same } | null,
+//     sponsors: [{ name, party, role, peopleId, primary }], subjects, topics }
+
+import crypto from "crypto";
+import { loadFieldMap, resolveFieldMap, itemYear } from "./field-map.js";
+import { getStateProfile, normalizeBillNumber, inferStateFromNumbers } from "./states.js";
+import { pickBestTextUrl } from "./render.js";
+
+const recordsKey = (collectionId) => `billRecords:${collectionId}`;
+const ITEMS_TTL_MS = 60 * 1000;
+const MAX_PER_PAGE = 100;
+
+// --- Writing (sync side) -------------------------------------------------------
+
+function chamberRecord(number, info, { statusKey, stage }) {
+  if (!number) return null;
+  const history = [...(info?.history || [])]
+    .sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0))
+    .map(h => ({ date: h.date || null, chamber: h.chamber || null, action: h.action || "" }));
+  const last = history[history.length - 1] || null;
+  return {
+    number,
+    status: statusKey || null,
+    stage: stage?.stage || null,
+    stageLabel: stage?.label || null,
+    committee: stage?.stage === "in_committee" ? stage.committee || null : null,
+    legiscanId: info?.bill_id ?? null,
+    url: info ? pickBestTextUrl(info) : null,
+    stateLink: info?.state_link || null,
+    lastAction: last ? { date: last.date, action: last.action } : null,
+    history,
+    // Hearings and floor sessions LegiScan has scheduled for the bill
+    calendar: (info?.calendar || []).map(c => ({
+      type: c.type || null,
+      date: c.date || null,
+      time: c.time || null,
+      location: c.location || null,
+      description: c.description || null,
+    })),
+  };
+}
+
+// What the sync knows about an item's bills
+export function buildBillRecord({ state, house, senate, primaryInfo, topics = [] }) {
+  const sponsors = (primaryInfo?.sponsors || [])
+    .filter(s => s?.name && !Number(s.committee_sponsor))
+    .map(s => ({
+      name: s.name,
+      party: s.party || null,
+      role: s.role || null,
+      peopleId: Number(s.people_id) || null,
+      primary: Number(s.sponsor_type_id) === 1,
+    }));
+  return {
+    state,
+    house: chamberRecord(house.number, house.info, house),
+    senate: chamberRecord(senate.number, senate.info, senate),
+    sponsors,
+    subjects: (primaryInfo?.subjects || []).map(s => s.subject_name).filter(Boolean),
+    topics,
+    syncedAt: new Date().toISOString(),
+  };
+}
+
+// item id -> record
+export async function loadBillRecords(store, collectionId) {
+  return (await store.get(recordsKey(collectionId))) || {};
+}
+
+export async function saveBillRecords(store, collectionId, records) {
+  if (!records.size) return;
+  const all = (await store.get(recordsKey(collectionId))) || {};
+  records.forEach((record, itemId) => { all[itemId] = record; });
+  await store.set(recordsKey(collectionId), all);
+}
+
+// --- Reading -----------------------------------------------------------------------
+
+// Live items are re-read from Webflow at most once a minute per instance
+const itemCache = new Map(); // collection id -> { expires, value: Promise }
+
+export async function loadBillSource({ webflow, collectionId, store }) {
+  let hit = itemCache.get(collectionId);
+  if (!hit || hit.expires <= Date.now()) {
+    const value = (async () => {
+      const collection = await webflow.getCollection();
+      const mapping = resolveFieldMap(loadFieldMap(), collection);
+      const { items } = await webflow.listItems();
+      return { mapping, items, collectionSlug: collection.slug || null };
+    })();
+    hit = { expires: Date.now() + ITEMS_TTL_MS, value };
+    itemCache.set(collectionId, hit);
+    value.catch(() => itemCache.delete(collectionId));
+  }
+  const source = await hit.value;
+  return { ...source, records: await loadBillRecords(store, collectionId) };
+}
+
+// Page of a bill on the site: SITE_URL/<collection slug>/<item slug>
+export function billPageUrl(siteUrl, collectionSlug, slug) {
+  if (!siteUrl || !collectionSlug || !slug) return null;
+  return `${siteUrl.replace(/\/+$/, "")}/${collectionSlug}/${slug}`;
+}
+
+// Normalized bills for the live (published, not archived) items
+export function normalizeBills({ mapping, items, records, collectionSlug }, { siteUrl } = {}) {
+  const F = mapping.fields;
+  const statusNames = {};
+  ["house", "senate"].forEach(chamber => {
+    Object.entries(mapping.statusIds[chamber] || {}).forEach(([key, id]) => { statusNames[id] = key; });
+  });
+
+  return items.filter(it => !it.isDraft && !it.isArchived).map(item => {
+    const fd = item.fieldData || {};
+    const record = records[item.id] || null;
+    const rawHouse = F.houseNumber ? fd[F.houseNumber] || "" : "";
+    const rawSenate = F.senateNumber ? fd[F.senateNumber] || "" : "";
+    const state = mapping.jurisdictionByOptionId[fd[F.jurisdiction]] || record?.state
+      || inferStateFromNumbers(rawHouse, rawSenate).state;
+    const profile = getStateProfile(state);
+
+    const chamber = (key) => {
+      const number = normalizeBillNumber(key === "house" ? rawHouse : rawSenate, profile);
+      if (!number) return null;
+      const synced = record?.[key]?.number === number ? record[key] : null;
+      return {
+        number,
+        status: statusNames[fd[F[`${key}Status`]]] || synced?.status || null,
+        stage: synced?.stage || null,
+        stageLabel: (F[`${key}Stage`] && fd[F[`${key}Stage`]]) || synced?.stageLabel || null,
+        committee: synced?.committee || null,
+        legiscanId: synced?.legiscanId ?? (F[`${key}BillId`] ? Number(fd[F[`${key}BillId`]]) || null : null),
+        url: (F[`${key}Link`] && fd[F[`${key}Link`]]) || synced?.url || null,
+        stateLink: synced?.stateLink || null,
+        lastAction: synced?.lastAction || null,
+        history: synced?.history || [],
+        calendar: synced?.calendar || [],
+      };
+    };
+
+    const slug = fd.slug || item.slug || null;
+    return {
+      id: item.id,
+      slug,
+      pageUrl: billPageUrl(siteUrl, collectionSlug, slug),
+      title: (F.title && fd[F.title]) || "",
+      jurisdiction: state || null,
+      jurisdictionName: profile?.name || null,
+      year: itemYear(mapping, fd),
+      updatedAt: item.lastUpdated || item.lastPublished || null,
+      syncedAt: record?.syncedAt || null,
+      house: chamber("house"),
+      senate: chamber("senate"),
+      sponsors: record?.sponsors || [],
+      subjects: record?.subjects || [],
+      topics: record?.topics || [],
+    };
+  });
+}
+
+// --- Query -------------------------------------------------------------------------
+
+const list = (v) => String(v ?? "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+const lastActionDate = (b) => [b.house?.lastAction?.date, b.senate?.lastAction?.date].filter(Boolean).sort().pop() || "";
+
+const SORTS = {
+  updated: (b) => b.updatedAt || "",
+  lastAction: lastActionDate,
+  year: (b) => b.year || "",
+  number: (b) => {
+    const n = b.house?.number || b.senate?.number || "";
+    const m = n.match(/^([A-Z]+)(\d+)$/);
+    return m ? `${m[1]}${m[2].padStart(6, "0")}` : n;
+  },
+  title: (b) => b.title.toLowerCase(),
+};
+
+// Filters shared by /api/bills and the feeds / exports:
+//   bill=<slug, number or item id>  jurisdiction=MN,US  year=2025  status=Active  chamber=house|senate (which
+//   status fields status/stage look at)  stage=in_committee  sponsor=<name or
+//   LegiScan people id>  subject=<LegiScan subject or site topic>
+//   updatedSince=<ISO date>  q=<text in title or number>
+export function filterBills(bills, query = {}) {
+  const jurisdictions = list(query.jurisdiction || query.state);
+  const years = list(query.year);
+  const statuses = list(query.status);
+  const stages = list(query.stage);
+  const chambers = list(query.chamber).filter(c => c === "house" || c === "senate");
+  const sponsor = String(query.sponsor || "").trim().toLowerCase();
+  const subjects = list(query.subject);
+  const since = query.updatedSince ? Date.parse(query.updatedSince) : null;
+  const text = String(query.q || "").trim().toLowerCase();
+  const ids = list(query.bill).map(b => b.replace(/\s+/g, ""));
+  const parts = (b) => (chambers.length ? chambers : ["house", "senate"]).map(c => b[c]).filter(Boolean);
+
+  return bills.filter(b =>
+    (!ids.length || [b.id, b.slug, b.house?.number, b.senate?.number].some(v => v && ids.includes(v.toLowerCase()))) &&
+    (!jurisdictions.length || jurisdictions.includes(String(b.jurisdiction).toLowerCase())) &&
+    (!years.length || years.includes(String(b.year).toLowerCase())) &&
+    (!statuses.length || parts(b).some(p => statuses.includes(String(p.status).toLowerCase()))) &&
+    (!stages.length || parts(b).some(p => stages.includes(String(p.stage).toLowerCase()))) &&
+    (!chambers.length || parts(b).length) &&
+    (!sponsor || b.sponsors.some(s => String(s.peopleId) === sponsor || s.name.toLowerCase().includes(sponsor))) &&
+    (!subjects.length || [...b.subjects, ...b.topics].some(s => subjects.includes(s.toLowerCase()))) &&
+    (since === null || isNaN(since) || Date.parse(b.updatedAt || 0) >= since) &&
+    (!text || b.title.toLowerCase().includes(text) || [b.house?.number, b.senate?.number].some(n => n && n.toLowerCase() === text.replace(/\s+/g, "")))
+  );
+}
+
+// sort=updated|lastAction|year|number|title, "-" prefix for descending (default -updated)
+export function sortBills(bills, sort = "-updated") {
+  const desc = String(sort).startsWith("-");
+  const key = SORTS[String(sort).replace(/^-/, "")] || SORTS.updated;
+  return [...bills].sort((a, b) => {
+    const x = key(a), y = key(b);
+    return (x < y ? -1 : x > y ? 1 : 0) * (desc ? -1 : 1) || a.id.localeCompare(b.id);
+  });
+}
+
+export function paginate(bills, { page, perPage } = {}) {
+  const size = Math.min(MAX_PER_PAGE, Math.max(1, Number(perPage) || 25));
+  const pages = Math.max(1, Math.ceil(bills.length / size));
+  const current = Math.min(pages, Math.max(1, Number(page) || 1));
+  return { page: current, perPage: size, pages, total: bills.length, bills: bills.slice((current - 1) * size, current * size) };
+}
+
+// Weak ETag for a response body; answers 304 when the client already has it
+export function sendCached(req, res, body, { maxAge = 60, sMaxAge = 300, contentType } = {}) {
+  const payload = typeof body === "string" || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+  const etag = `W/"${crypto.createHash("sha1").update(payload).digest("base64url")}"`;
+  res.setHeader("ETag", etag);
+  res.setHeader("Cache-Control", `public, max-age=${maxAge}, s-maxage=${sMaxAge}, stale-while-revalidate=${sMaxAge * 2}`);
+  const match = String(req.headers?.["if-none-match"] || "").split(",").map(s => s.trim());
+  if (match.includes(etag) || match.includes("*")) return res.status(304).end();
+  res.setHeader("Content-Type", contentType || "application/json; charset=utf-8");
+  return res.status(200).send(payload);
+}
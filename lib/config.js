@@ -0,0 +1,55 @@
+// /lib/config.js
+// Settings shared by the endpoints, read from the environment and checked in
+// one place. Reports name the missing or malformed settings but never echo
+// their values.
+
+const SETTINGS = {
+  legiscanApiKey: { env: "LEGISCAN_API_KEY", secret: true, format: /^[0-9a-f]{32}$/i, hint: "32 hex characters" },
+  webflowToken: { env: "WEBFLOW_API_TOKEN", secret: true },
+  collectionId: { env: "WEBFLOW_BILLS_COLLECTION_ID", format: /^[0-9a-f]{24}$/i, hint: "24 hex characters" },
+  siteId: { env: "WEBFLOW_SITE_ID", optional: true, format: /^[0-9a-f]{24}$/i, hint: "24 hex characters" },
+  siteUrl: { env: "SITE_URL", optional: true, format: /^https?:\/\/[^\s/]+/i, hint: "absolute URL of the public site, e.g. https://example.org" },
+  legislatorsCollectionId: { env: "WEBFLOW_LEGISLATORS_COLLECTION_ID", optional: true, format: /^[0-9a-f]{24}$/i, hint: "24 hex characters" },
+};
+
+// -> [{ setting, env, required, present, valid, secret, hint }]
+export function configStatus(names = Object.keys(SETTINGS), env = process.env) {
+  return names.map(name => {
+    const spec = SETTINGS[name];
+    if (!spec) throw new Error(`Unknown setting "${name}"`);
+    const value = String(env[spec.env] ?? "").trim();
+    const valid = !value || !spec.format || spec.format.test(value);
+    return {
+      setting: name,
+      env: spec.env,
+      required: !spec.optional,
+      present: !!value,
+      valid,
+      secret: !!spec.secret,
+      hint: valid ? undefined : spec.hint,
+    };
+  });
+}
+
+// -> { ok, values, missing, invalid }. Optional settings are checked when set.
+export function loadConfig(names = Object.keys(SETTINGS), env = process.env) {
+  const status = configStatus(names, env);
+  const values = {};
+  status.forEach(s => { if (s.present && s.valid) values[s.setting] = String(env[s.env]).trim(); });
+  const missing = status.filter(s => s.required && !s.present).map(s => s.env);
+  const invalid = status.filter(s => s.present && !s.valid).map(s => ({ env: s.env, expected: s.hint }));
+  return { ok: !missing.length && !invalid.length, values, missing, invalid };
+}
+
+// Writes a 500 naming the problem settings and returns null, or returns the values
+export function requireConfig(res, names, env = process.env) {
+  const config = loadConfig(names, env);
+  if (config.ok) return config.values;
+  res.status(500).json({
+    success: false,
+    error: "Server is missing required configuration",
+    missing: config.missing.length ? config.missing : undefined,
+    invalid: config.invalid.length ? config.invalid : undefined,
+  });
+  return null;
+}
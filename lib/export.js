@@ -0,0 +1,47 @@
+// /lib/export.js
+// Spreadsheet rows for the tracked bill portfolio (/api/export), one row per
+// item, from the normalized bills in lib/bills.js.
+
+// { header, width, value(bill) }
+export const EXPORT_COLUMNS = [
+  { header: "Jurisdiction", width: 12, value: (b) => b.jurisdiction },
+  { header: "Year", width: 8, value: (b) => b.year },
+  { header: "House number", width: 12, value: (b) => b.house?.number },
+  { header: "Senate number", width: 12, value: (b) => b.senate?.number },
+  { header: "Title", width: 50, value: (b) => b.title },
+  { header: "House status", width: 12, value: (b) => b.house?.status },
+  { header: "House stage", width: 28, value: (b) => b.house?.stageLabel },
+  { header: "Senate status", width: 12, value: (b) => b.senate?.status },
+  { header: "Senate stage", width: 28, value: (b) => b.senate?.stageLabel },
+  { header: "Last action", width: 40, value: (b) => lastAction(b)?.action },
+  { header: "Last action date", width: 14, value: (b) => lastAction(b)?.date },
+  { header: "Primary sponsors", width: 30, value: (b) => b.sponsors.filter(s => s.primary).map(s => (s.party ? `${s.name} (${s.party})` : s.name)).join("; ") },
+  { header: "Subjects", width: 30, value: (b) => b.subjects.join("; ") },
+  { header: "Topics", width: 30, value: (b) => b.topics.join("; ") },
+  { header: "House text", width: 40, value: (b) => b.house?.url },
+  { header: "Senate text", width: 40, value: (b) => b.senate?.url },
+  { header: "Page URL", width: 40, value: (b) => b.pageUrl },
+  { header: "Updated", width: 20, value: (b) => b.updatedAt },
+];
+
+// The later of the two chambers' last actions
+function lastAction(bill) {
+  return [bill.house?.lastAction, bill.senate?.lastAction]
+    .filter(a => a?.date)
+    .sort((a, b) => String(b.date).localeCompare(String(a.date)))[0] || null;
+}
+
+export const exportRows = (bills, columns = EXPORT_COLUMNS) =>
+  bills.map(b => columns.map(c => c.value(b) ?? ""));
+
+// RFC 4180, with a byte-order mark so Excel reads it as UTF-8. Text that a
+// spreadsheet would take for a formula gets a leading apostrophe.
+export function toCsv(columns, rows) {
+  const field = (v) => {
+    let s = String(v ?? "");
+    if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [columns.map(c => c.header), ...rows].map(r => r.map(field).join(","));
+  return "﻿" + lines.join("\r\n") + "\r\n";
+}
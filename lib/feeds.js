@@ -0,0 +1,193 @@
+// /lib/feeds.js
+// Atom / RSS feeds of bill actions and an iCalendar feed of scheduled hearings
+// and floor sessions, built from the normalized bills in lib/bills.js.
+//
+// Entry and event ids are derived from the bill, chamber, date and action, so
+// they stay the same from one request to the next and readers don't repeat them.
+
+import crypto from "crypto";
+import { chamberName, getStateProfile } from "./states.js";
+
+const xml = (s) => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[c]));
+
+// Name-based UUID (version 5 layout) from the parts
+function stableId(...parts) {
+  const h = crypto.createHash("sha1").update(parts.join("|")).digest("hex");
+  const variant = ((parseInt(h[16], 16) & 3) | 8).toString(16);
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-${variant}${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+const isoDate = (d) => {
+  const t = Date.parse(d || "");
+  return isNaN(t) ? null : new Date(t).toISOString();
+};
+
+// Recent actions across the bills, newest first
+export function activityEntries(bills, { limit = 50 } = {}) {
+  const entries = [];
+  for (const bill of bills) {
+    const profile = getStateProfile(bill.jurisdiction);
+    for (const key of ["house", "senate"]) {
+      const part = bill[key];
+      (part?.history || []).forEach((h, i) => {
+        const date = isoDate(h.date);
+        if (!date) return;
+        entries.push({
+          id: stableId(bill.id, key, h.date, h.action),
+          date,
+          order: i,
+          number: part.number,
+          chamber: h.chamber ? chamberName(profile, h.chamber) : null,
+          action: h.action,
+          bill,
+        });
+      });
+    }
+  }
+  entries.sort((a, b) => b.date.localeCompare(a.date) || b.order - a.order || a.id.localeCompare(b.id));
+  return entries.slice(0, limit);
+}
+
+const entryTitle = (e) => `${e.number}: ${e.action}`;
+const entrySummary = (e) =>
+  [e.bill.title, e.chamber ? `${e.chamber}: ${e.action}` : e.action].filter(Boolean).join(" — ");
+const entryCategories = (e) => [...new Set([...(e.bill.topics || []), ...(e.bill.subjects || [])])];
+
+// The feed's own `updated` is its newest entry, so an unchanged feed stays byte-identical
+export function buildAtom({ title, selfUrl, siteUrl, entries }) {
+  const updated = entries[0]?.date || new Date(0).toISOString();
+  const body = entries.map(e => [
+    "  <entry>",
+    `    <id>urn:uuid:${e.id}</id>`,
+    `    <title>${xml(entryTitle(e))}</title>`,
+    `    <updated>${e.date}</updated>`,
+    e.bill.pageUrl ? `    <link rel="alternate" type="text/html" href="${xml(e.bill.pageUrl)}"/>` : null,
+    `    <summary>${xml(entrySummary(e))}</summary>`,
+    ...entryCategories(e).map(c => `    <category term="${xml(c)}"/>`),
+    "  </entry>",
+  ].filter(Boolean).join("\n"));
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>urn:uuid:${stableId("feed", selfUrl)}</id>`,
+    `  <title>${xml(title)}</title>`,
+    `  <updated>${updated}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${xml(selfUrl)}"/>`,
+    siteUrl ? `  <link rel="alternate" type="text/html" href="${xml(siteUrl)}"/>` : null,
+    "  <author><name>LegiScan Bill Tracker</name></author>",
+    ...body,
+    "</feed>",
+    "",
+  ].filter(v => v !== null).join("\n");
+}
+
+export function buildRss({ title, selfUrl, siteUrl, entries }) {
+  const rfc822 = (iso) => new Date(iso).toUTCString();
+  const body = entries.map(e => [
+    "    <item>",
+    `      <guid isPermaLink="false">urn:uuid:${e.id}</guid>`,
+    `      <title>${xml(entryTitle(e))}</title>`,
+    e.bill.pageUrl ? `      <link>${xml(e.bill.pageUrl)}</link>` : null,
+    `      <description>${xml(entrySummary(e))}</description>`,
+    `      <pubDate>${rfc822(e.date)}</pubDate>`,
+    ...entryCategories(e).map(c => `      <category>${xml(c)}</category>`),
+    "    </item>",
+  ].filter(Boolean).join("\n"));
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${xml(title)}</title>`,
+    `    <link>${xml(siteUrl || selfUrl)}</link>`,
+    `    <description>${xml(title)}</description>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${xml(selfUrl)}"/>`,
+    entries.length ? `    <lastBuildDate>${rfc822(entries[0].date)}</lastBuildDate>` : null,
+    ...body,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].filter(v => v !== null).join("\n");
+}
+
+// --- iCalendar ---------------------------------------------------------------------
+
+// "14:00", "14:00:00", "2:00 PM" -> [hour, minute]
+function parseTime(value) {
+  const m = String(value || "").trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap])?\.?m?\.?$/i);
+  if (!m) return null;
+  let hour = Number(m[1]) % 24;
+  if (m[3]) hour = (hour % 12) + (m[3].toLowerCase() === "p" ? 12 : 0);
+  return [hour, Number(m[2])];
+}
+
+// Scheduled hearings and floor sessions, soonest first
+export function calendarEvents(bills) {
+  const events = [];
+  for (const bill of bills) {
+    for (const key of ["house", "senate"]) {
+      const part = bill[key];
+      (part?.calendar || []).forEach(c => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(c.date || "")) return;
+        events.push({
+          id: stableId(bill.id, key, c.date, c.time, c.type, c.description),
+          date: c.date,
+          time: parseTime(c.time),
+          type: c.type || "Event",
+          location: c.location,
+          description: c.description,
+          number: part.number,
+          bill,
+        });
+      });
+    }
+  }
+  return events.sort((a, b) => a.date.localeCompare(b.date) || (a.time?.[0] ?? -1) - (b.time?.[0] ?? -1) || a.id.localeCompare(b.id));
+}
+
+const icsText = (s) => String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const out = [];
+  let rest = Buffer.from(line, "utf8");
+  while (rest.length > 75) {
+    let cut = out.length ? 74 : 75;
+    while (cut > 0 && (rest[cut] & 0xc0) === 0x80) cut--; // don't split a UTF-8 sequence
+    out.push(rest.subarray(0, cut).toString("utf8"));
+    rest = rest.subarray(cut);
+  }
+  out.push(rest.toString("utf8"));
+  return out.join("\r\n ");
+}
+
+// Times are written as local ("floating") times: LegiScan gives them in the
+// legislature's own time zone, which is how calendar apps should show them.
+export function buildICalendar({ name, events, host = "legiscan-bill-tracker" }) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const stamp = (iso) => (isoDate(iso) || new Date(0).toISOString()).replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//legiscan-bill-tracker//Bill calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(name)}`,
+  ];
+  for (const e of events) {
+    const day = e.date.replace(/-/g, "");
+    lines.push("BEGIN:VEVENT", `UID:${e.id}@${host}`, `DTSTAMP:${stamp(e.bill.syncedAt)}`);
+    if (e.time) {
+      const [h, m] = e.time;
+      lines.push(`DTSTART:${day}T${pad(h)}${pad(m)}00`, "DURATION:PT1H");
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${day}`);
+    }
+    lines.push(`SUMMARY:${icsText(`${e.number}: ${e.type}${e.description ? ` — ${e.description}` : ""}`)}`);
+    if (e.location) lines.push(`LOCATION:${icsText(e.location)}`);
+    lines.push(`DESCRIPTION:${icsText([e.bill.title, e.bill.pageUrl].filter(Boolean).join("\n"))}`);
+    if (e.bill.pageUrl) lines.push(`URL:${e.bill.pageUrl}`);
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,193 @@
+// /lib/field-map.js
+// Maps logical bill attributes to Webflow collection field slugs and option
+// names, so the sync can run against differently named collections.
+//
+// Override the defaults with FIELD_MAP (a JSON string) or FIELD_MAP_FILE (path
+// to a JSON file). Overrides are merged over the defaults; map an attribute to
+// null to stop writing it. Example:
+//   { "fields": { "title": "bill-title", "houseTimeline": null },
+//     "jurisdictionOptions": { "Gopher State": "MN" } }
+
+import { readFileSync } from "fs";
+import { getStateProfile, stateFromJurisdictionName } from "./states.js";
+
+export const DEFAULT_FIELD_MAP = {
+  fields: {
+    title: "name",
+    houseNumber: "house-file-number",
+    senateNumber: "senate-file-number",
+    houseStatus: "house-file-status",
+    senateStatus: "senate-file-status",
+    houseStage: "house-file-stage",
+    senateStage: "senate-file-stage",
+    timeline: "timeline",
+    houseTimeline: "house-file-timeline",
+    senateTimeline: "senate-file-timeline",
+    sponsors: "sponsors",
+    houseSponsors: "house-file-sponsors",
+    senateSponsors: "senate-file-sponsors",
+    // Structured timelines / sponsor lists (JSON text) for front ends that render their own
+    timelineJson: "timeline-json",
+    houseTimelineJson: "house-file-timeline-json",
+    senateTimelineJson: "senate-file-timeline-json",
+    sponsorsJson: "sponsors-json",
+    houseSponsorsJson: "house-file-sponsors-json",
+    senateSponsorsJson: "senate-file-sponsors-json",
+    sponsorRefs: "sponsor-legislators",
+    houseSponsorRefs: "house-file-sponsor-legislators",
+    senateSponsorRefs: "senate-file-sponsor-legislators",
+    topics: "topics",
+    houseCommittee: "house-file-committee",
+    senateCommittee: "senate-file-committee",
+    houseLink: "house-file-link",
+    senateLink: "senate-file-link",
+    houseVotes: "house-file-votes",
+    senateVotes: "senate-file-votes",
+    houseTextChanges: "house-file-text-changes",
+    senateTextChanges: "senate-file-text-changes",
+    houseBillId: "house-file-legiscan-id",
+    senateBillId: "senate-file-legiscan-id",
+    sessionId: "legiscan-session-id",
+    jurisdiction: "jurisdiction",
+    year: "legislative-year",
+    override: "manual-override",
+    // Editorial fields: set by editors or /api/import-bills, never by the sync
+    position: "position",
+    priority: "priority",
+    notes: "internal-notes",
+  },
+  // Status key -> option name on the status fields
+  statusOptions: { Active: "Active", Tabled: "Tabled", Failed: "Failed", Passed: "Passed" },
+  // Jurisdiction option name -> LegiScan state code, for names that don't match
+  // a state profile ("Minnesota", "Federal", ... are recognized automatically)
+  jurisdictionOptions: {},
+};
+
+// Attributes that are only written when the collection has the field
+const OPTIONAL = new Set([
+  "houseStage", "senateStage", "houseVotes", "senateVotes", "houseTextChanges", "senateTextChanges",
+  "houseBillId", "senateBillId", "sessionId", "sponsorRefs", "houseSponsorRefs", "senateSponsorRefs",
+  "topics", "houseCommittee", "senateCommittee", "position", "priority", "notes",
+  "timelineJson", "houseTimelineJson", "senateTimelineJson", "sponsorsJson", "houseSponsorsJson", "senateSponsorsJson",
+]);
+
+// Attributes whose field must be a particular Webflow type
+const FIELD_TYPES = {
+  houseStatus: ["Option"],
+  senateStatus: ["Option"],
+  houseStage: ["PlainText"],
+  senateStage: ["PlainText"],
+  jurisdiction: ["Option"],
+  override: ["Switch"],
+  year: ["PlainText", "Number", "Option"],
+  houseBillId: ["PlainText", "Number"],
+  senateBillId: ["PlainText", "Number"],
+  sessionId: ["PlainText", "Number"],
+  sponsorRefs: ["MultiReference"],
+  houseSponsorRefs: ["MultiReference"],
+  senateSponsorRefs: ["MultiReference"],
+  topics: ["MultiReference", "Option", "PlainText"],
+  houseCommittee: ["Reference", "Option", "PlainText"],
+  senateCommittee: ["Reference", "Option", "PlainText"],
+  position: ["Option", "PlainText"],
+  priority: ["Option", "PlainText", "Number"],
+  notes: ["PlainText", "RichText"],
+  timelineJson: ["PlainText"],
+  houseTimelineJson: ["PlainText"],
+  senateTimelineJson: ["PlainText"],
+  sponsorsJson: ["PlainText"],
+  houseSponsorsJson: ["PlainText"],
+  senateSponsorsJson: ["PlainText"],
+};
+
+export function loadFieldMap(env = process.env) {
+  let override = {};
+  const source = env.FIELD_MAP ? "FIELD_MAP" : env.FIELD_MAP_FILE ? env.FIELD_MAP_FILE : null;
+  try {
+    if (env.FIELD_MAP) override = JSON.parse(env.FIELD_MAP);
+    else if (env.FIELD_MAP_FILE) override = JSON.parse(readFileSync(env.FIELD_MAP_FILE, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid field map in ${source}: ${err.message}`);
+  }
+
+  return {
+    source: source || "defaults",
+    fields: { ...DEFAULT_FIELD_MAP.fields, ...override.fields },
+    statusOptions: { ...DEFAULT_FIELD_MAP.statusOptions, ...override.statusOptions },
+    jurisdictionOptions: { ...DEFAULT_FIELD_MAP.jurisdictionOptions, ...override.jurisdictionOptions },
+  };
+}
+
+// Checks the map against a collection (GET /v2/collections/{id}) and resolves
+// option names to IDs. Returns { ok, problems, fields, types, statusIds,
+// jurisdictionByOptionId, jurisdictionNames, yearByOptionId } where `fields` holds the slug for
+// each attribute (or null when it isn't written) and `types` its Webflow type. Jurisdiction options with no known state map to null.
+export function resolveFieldMap(map, collection) {
+  const bySlug = Object.fromEntries((collection?.fields || []).map(f => [f.slug, f]));
+  const problems = [];
+  const fields = {}, types = {};
+
+  for (const [attr, slug] of Object.entries(map.fields)) {
+    if (!slug) { fields[attr] = null; continue; }
+    const f = bySlug[slug];
+    if (!f) {
+      if (!OPTIONAL.has(attr)) problems.push({ attribute: attr, field: slug, problem: "Field not found in collection" });
+      fields[attr] = null;
+      continue;
+    }
+    if (FIELD_TYPES[attr] && !FIELD_TYPES[attr].includes(f.type)) {
+      problems.push({ attribute: attr, field: slug, problem: `Expected ${FIELD_TYPES[attr].join(" or ")} field, found ${f.type}` });
+    }
+    fields[attr] = slug;
+    types[attr] = f.type;
+  }
+
+  function optionIds(attr, names) {
+    const f = bySlug[fields[attr]];
+    if (!f || f.type !== "Option") return {};
+    const opts = f.validations?.options || [];
+    const ids = {};
+    names.forEach(([key, name]) => {
+      const opt = opts.find(o => o.name.toLowerCase() === String(name).toLowerCase());
+      if (opt) ids[key] = opt.id;
+      else problems.push({ attribute: attr, field: f.slug, problem: `Option "${name}" not found` });
+    });
+    return ids;
+  }
+
+  const statusNames = Object.entries(map.statusOptions);
+  const statusIds = {
+    house: optionIds("houseStatus", statusNames),
+    senate: optionIds("senateStatus", statusNames),
+  };
+
+  // Explicitly configured names must exist and name a state we have a profile for;
+  // the rest are matched to state profiles by name
+  optionIds("jurisdiction", Object.keys(map.jurisdictionOptions).map(name => [name, name]));
+  Object.entries(map.jurisdictionOptions).forEach(([name, code]) => {
+    if (code && !getStateProfile(code)) {
+      problems.push({ attribute: "jurisdiction", field: fields.jurisdiction, problem: `Option "${name}" maps to unsupported state "${code}"` });
+    }
+  });
+  const jurisdictionByOptionId = {}, jurisdictionNames = {};
+  const jf = bySlug[fields.jurisdiction];
+  (jf?.type === "Option" ? jf.validations?.options || [] : []).forEach(o => {
+    const configured = Object.keys(map.jurisdictionOptions).find(n => n.toLowerCase() === o.name.toLowerCase());
+    jurisdictionByOptionId[o.id] = configured ? map.jurisdictionOptions[configured] : stateFromJurisdictionName(o.name);
+    jurisdictionNames[o.id] = o.name;
+  });
+
+  // Option-typed year fields store option ids; items are read by the option's name
+  const yearByOptionId = {};
+  const yf = bySlug[fields.year];
+  (yf?.type === "Option" ? yf.validations?.options || [] : []).forEach(o => { yearByOptionId[o.id] = o.name; });
+
+  return { ok: problems.length === 0, problems, fields, types, statusIds, jurisdictionByOptionId, jurisdictionNames, yearByOptionId };
+}
+
+// An item's legislative year as text ("2025", "2025 Special"), or null
+export function itemYear(mapping, fieldData) {
+  const value = mapping.fields.year ? fieldData?.[mapping.fields.year] : null;
+  if (value === null || value === undefined || value === "") return null;
+  return String(mapping.yearByOptionId?.[value] ?? value).trim();
+}
@@ -0,0 +1,108 @@
+// /lib/import.js
+// Reading the priority spreadsheet behind /api/import-bills: CSV parsing,
+// header recognition and the editorial field values (position, priority,
+// notes) in the shape the collection's fields take.
+
+import { esc } from "./render.js";
+import { htmlToText } from "./bill-text.js";
+
+// Header (lowercased, punctuation dropped) -> column attribute
+const HEADER_ALIASES = {
+  house: ["house", "house number", "house file", "house file number", "house bill", "hf"],
+  senate: ["senate", "senate number", "senate file", "senate file number", "senate bill", "sf"],
+  number: ["number", "bill", "bill number", "file", "file number"],
+  year: ["year", "legislative year", "session year"],
+  state: ["state", "jurisdiction"],
+  title: ["title", "name", "bill title"],
+  position: ["position", "stance"],
+  priority: ["priority"],
+  notes: ["notes", "note", "internal notes", "comments"],
+};
+
+export const EDITORIAL_ATTRIBUTES = ["position", "priority", "notes"];
+
+const headerKey = (h) => String(h || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+// RFC 4180 (quoted fields may hold commas, quotes and line breaks); also takes
+// a leading byte-order mark and bare LF line ends. -> [{ line, cells }], where
+// `line` is where the record starts; blank lines are dropped.
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^﻿/, "");
+  const records = [];
+  let cells = [], cell = "", quoted = false, line = 1, start = 1;
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some(c => c.trim() !== "")) records.push({ line: start, cells });
+    cells = []; cell = "";
+  };
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else { if (c === "\n") line++; cell += c; }
+    } else if (c === '"' && cell.trim() === "") {
+      quoted = true; cell = "";
+    } else if (c === ",") {
+      cells.push(cell); cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      endRecord();
+      start = ++line;
+    } else {
+      cell += c;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${start}`);
+  if (cell !== "" || cells.length) endRecord();
+  return records;
+}
+
+// -> { columns: { attribute: index }, ignored: [header], rows: [{ line, values: { attribute: text } }] }
+export function readImportRows(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) throw new Error("The CSV is empty");
+  const columns = {}, ignored = [];
+  header.cells.forEach((h, i) => {
+    const key = headerKey(h);
+    const attr = Object.keys(HEADER_ALIASES).find(a => HEADER_ALIASES[a].includes(key));
+    if (attr && columns[attr] === undefined) columns[attr] = i;
+    else if (key) ignored.push(h.trim());
+  });
+  if (columns.house === undefined && columns.senate === undefined && columns.number === undefined) {
+    throw new Error('No bill number column (expected a "Bill", "House number" or "Senate number" header)');
+  }
+  const rows = records.map(({ line, cells }) => ({
+    line,
+    values: Object.fromEntries(Object.entries(columns).map(([attr, i]) => [attr, String(cells[i] ?? "").trim()])),
+  }));
+  return { columns, ignored, rows };
+}
+
+// Editorial cell -> value for the collection field ({ value } or { error }).
+// `field` is the collection's field (GET /v2/collections/{id}).
+export function editorialValue(attr, field, raw) {
+  switch (field.type) {
+    case "Option": {
+      const options = field.validations?.options || [];
+      const opt = options.find(o => o.name.toLowerCase() === raw.toLowerCase());
+      return opt ? { value: opt.id } : { error: `Unknown ${attr} "${raw}" (expected ${options.map(o => o.name).join(", ")})` };
+    }
+    case "Number": {
+      const n = Number(raw);
+      return raw !== "" && isFinite(n) ? { value: n } : { error: `${attr} must be a number, got "${raw}"` };
+    }
+    case "RichText":
+      return { value: raw.split(/\r?\n\s*\r?\n/).map(p => `<p>${esc(p.trim()).replace(/\r?\n/g, "<br>")}</p>`).join("") };
+    default:
+      return { value: raw };
+  }
+}
+
+// Whether an item's current value already matches editorialValue()'s. Webflow
+// hands rich text back in its own markup (attributes on tags, <br/>, entities
+// re-encoded), so that is compared by its text.
+export function sameEditorialValue(field, current, next) {
+  if (field?.type === "RichText") return htmlToText(String(current ?? "")) === htmlToText(String(next ?? ""));
+  return String(current ?? "") === String(next);
+}
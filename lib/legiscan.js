@@ -0,0 +1,197 @@
+// /lib/legiscan.js
+// LegiScan API client: request timeouts, retries with exponential backoff on
+// network errors / 429 / 5xx, a response cache and per-day query accounting.
+//
+// Successful responses are cached in memory and, unless LEGISCAN_CACHE=memory
+// (or "off"), as one JSON file per request under LEGISCAN_CACHE_DIR. Each op has
+// its own TTL; pass `version` (e.g. a bill's change_hash) to getBill so a
+// changed bill is never served from the cache.
+//
+// Every request that reaches LegiScan is counted in memory and added to the
+// store's `legiscanUsage:YYYY-MM` by flushUsage() (which also flushes the
+// store), once per invocation; usage()
+// flushes and reports the month against LEGISCAN_MONTHLY_LIMIT (30,000 queries,
+// the public API tier, by default). Handlers also call flushUsage() in a
+// `finally`, so a failed invocation's queries are counted too.
+
+import { promises as fs } from "fs";
+import crypto from "crypto";
+import os from "os";
+import path from "path";
+import { getStore } from "./store.js";
+
+const BASE_URL = "https://api.legiscan.com/";
+const DEFAULT_CACHE_DIR = path.join(os.tmpdir(), "legiscan-bill-tracker", "legiscan-cache");
+const MINUTE = 60 * 1000, HOUR = 60 * MINUTE, DAY = 24 * HOUR;
+
+// Cache lifetimes per op; 0 disables caching
+const TTL = {
+  getBill: 10 * MINUTE,
+  getMasterList: 10 * MINUTE,
+  getMasterListRaw: 10 * MINUTE,
+  getSessionList: DAY,
+  getSessionPeople: DAY,
+  getSearch: HOUR,
+  getRollCall: 30 * DAY, // roll calls don't change once published
+  getBillText: 0, // lib/bill-text.js keeps extracted snapshots instead of the documents
+  getPerson: 7 * DAY,
+};
+
+export class LegiScanError extends Error {
+  constructor(message, { op, status } = {}) {
+    super(message);
+    this.name = "LegiScanError";
+    this.op = op;
+    this.status = status;
+  }
+}
+
+const memoryCache = new Map();
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const dayOf = (d = new Date()) => d.toISOString().slice(0, 10);
+
+export function createLegiScanClient({
+  apiKey,
+  store = getStore(),
+  cache = process.env.LEGISCAN_CACHE || "file",
+  cacheDir = process.env.LEGISCAN_CACHE_DIR || DEFAULT_CACHE_DIR,
+  monthlyLimit = Number(process.env.LEGISCAN_MONTHLY_LIMIT) || 30000,
+  timeoutMs = 15000,
+  retries = 3,
+  retryDelayMs = 500,
+  minIntervalMs = 100,
+} = {}) {
+  if (!apiKey) throw new LegiScanError("LegiScan API key is required");
+
+  const stats = { queries: 0, cacheHits: 0, retries: 0 };
+  let lastRequestAt = 0;
+  let unflushed = {}; // day -> queries not yet added to the store
+
+  const cacheKey = (op, params, version) => {
+    const parts = Object.keys(params).sort().map(k => `${k}=${params[k]}`);
+    return crypto.createHash("sha1").update([op, ...parts, version ?? ""].join("&")).digest("hex");
+  };
+  const cacheFile = (key) => path.join(cacheDir, `${key}.json`);
+
+  async function readCache(key) {
+    const hit = memoryCache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.data;
+    if (cache !== "file") return null;
+    try {
+      const entry = JSON.parse(await fs.readFile(cacheFile(key), "utf8"));
+      if (entry.expires <= Date.now()) return null;
+      memoryCache.set(key, entry);
+      return entry.data;
+    } catch {
+      return null;
+    }
+  }
+
+  async function writeCache(key, data, ttl) {
+    const entry = { expires: Date.now() + ttl, data };
+    memoryCache.set(key, entry);
+    if (cache !== "file") return;
+    try {
+      await fs.mkdir(cacheDir, { recursive: true });
+      const tmp = `${cacheFile(key)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, cacheFile(key));
+    } catch (err) {
+      console.warn(`LegiScan cache write failed: ${err.message}`);
+    }
+  }
+
+  function countQuery() {
+    stats.queries++;
+    const day = dayOf();
+    unflushed[day] = (unflushed[day] || 0) + 1;
+  }
+
+  async function flushUsage() {
+    const pending = unflushed;
+    unflushed = {};
+    const months = new Set(Object.keys(pending).map(day => day.slice(0, 7)));
+    for (const month of months) {
+      const key = `legiscanUsage:${month}`;
+      const rec = (await store.get(key)) || { total: 0, days: {} };
+      Object.entries(pending).filter(([day]) => day.startsWith(month)).forEach(([day, n]) => {
+        rec.total += n;
+        rec.days[day] = (rec.days[day] || 0) + n;
+      });
+      await store.set(key, rec);
+    }
+    await store.flush();
+  }
+
+  async function fetchOnce(url) {
+    const wait = lastRequestAt + minIntervalMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastRequestAt = Date.now();
+    return fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  }
+
+  // Raw LegiScan JSON ({ status: "OK" | "ERROR", ... }). ERROR responses are
+  // returned, not thrown, and never cached.
+  async function request(op, params = {}, { version, ttl = TTL[op] ?? 0 } = {}) {
+    const clean = Object.fromEntries(Object.entries(params).filter(([, v]) => v !== undefined && v !== null && v !== ""));
+    const key = cacheKey(op, clean, version);
+    if (cache !== "off" && ttl > 0) {
+      const cached = await readCache(key);
+      if (cached) { stats.cacheHits++; return cached; }
+    }
+
+    const url = `${BASE_URL}?${new URLSearchParams({ key: apiKey, op, ...clean })}`;
+    for (let attempt = 0; ; attempt++) {
+      let retryable, reason, status;
+      try {
+        const r = await fetchOnce(url);
+        countQuery();
+        if (r.ok) {
+          const data = await r.json();
+          if (data?.status === "OK" && cache !== "off" && ttl > 0) await writeCache(key, data, ttl);
+          return data;
+        }
+        status = r.status;
+        retryable = status === 429 || status >= 500;
+        reason = `HTTP ${status}`;
+      } catch (err) {
+        retryable = true;
+        reason = err.name === "TimeoutError" ? `timed out after ${timeoutMs}ms` : err.message;
+      }
+      if (!retryable || attempt >= retries) throw new LegiScanError(`LegiScan ${op} failed: ${reason}`, { op, status });
+      stats.retries++;
+      await sleep(retryDelayMs * 2 ** attempt);
+    }
+  }
+
+  async function usage() {
+    await flushUsage();
+    const day = dayOf();
+    const rec = (await store.get(`legiscanUsage:${day.slice(0, 7)}`)) || { total: 0, days: {} };
+    return {
+      run: { ...stats },
+      today: rec.days[day] || 0,
+      month: rec.total,
+      monthlyLimit,
+      remaining: Math.max(0, monthlyLimit - rec.total),
+    };
+  }
+
+  return {
+    request,
+    usage,
+    flushUsage,
+    // by id, or by state + bill number (+ year)
+    getBill: ({ id, state, bill, year, version } = {}) =>
+      request("getBill", id ? { id } : { state, bill, year }, { version }),
+    // by session id, or the current session of a state
+    getMasterList: ({ id, state } = {}) => request("getMasterList", id ? { id } : { state }),
+    getMasterListRaw: ({ id, state } = {}) => request("getMasterListRaw", id ? { id } : { state }),
+    getSessionList: (state) => request("getSessionList", { state }),
+    getSessionPeople: (id) => request("getSessionPeople", { id }),
+    getSearch: ({ state, query, year, page } = {}) => request("getSearch", { state, query, year, page }),
+    getRollCall: (id) => request("getRollCall", { id }),
+    getBillText: (id) => request("getBillText", { id }),
+    getPerson: (id) => request("getPerson", { id }),
+  };
+}
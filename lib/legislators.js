@@ -0,0 +1,271 @@
+// /lib/legislators.js
+// Legislator directory: one item per LegiScan person in a separate Webflow
+// collection (WEBFLOW_LEGISLATORS_COLLECTION_ID), so bills can reference their
+// sponsors through multi-reference fields.
+//
+// Override the field slugs with LEGISLATOR_FIELD_MAP (a JSON string) or
+// LEGISLATOR_FIELD_MAP_FILE (path to a JSON file), merged over the defaults;
+// map an attribute to null to stop writing it. Example:
+//   { "fields": { "party": "party-name", "photo": null } }
+// Only `name` and `peopleId` must exist in the collection; the rest are
+// written when the collection has them.
+
+import { readFileSync } from "fs";
+import crypto from "crypto";
+import { getStateProfile, chamberName, stateFromJurisdictionName } from "./states.js";
+import { createSlug } from "./render.js";
+
+export const DEFAULT_LEGISLATOR_FIELD_MAP = {
+  fields: {
+    name: "name",
+    peopleId: "legiscan-people-id",
+    firstName: "first-name",
+    lastName: "last-name",
+    title: "title", // Rep. / Sen.
+    party: "party",
+    chamber: "chamber",
+    district: "district",
+    jurisdiction: "jurisdiction",
+    legiscanLink: "legiscan-link",
+    ballotpediaLink: "ballotpedia-link",
+    voteSmartLink: "votesmart-link",
+    photo: "photo",
+  },
+};
+
+const REQUIRED = new Set(["name", "peopleId"]);
+
+const FIELD_TYPES = {
+  peopleId: ["PlainText", "Number"],
+  party: ["PlainText", "Option"],
+  chamber: ["PlainText", "Option"],
+  jurisdiction: ["PlainText", "Option"],
+  legiscanLink: ["Link"],
+  ballotpediaLink: ["Link"],
+  voteSmartLink: ["Link"],
+  photo: ["Image"],
+};
+
+// LegiScan party codes
+const PARTY_NAMES = { D: "Democrat", R: "Republican", I: "Independent", G: "Green", L: "Libertarian", N: "Nonpartisan" };
+
+export function loadLegislatorFieldMap(env = process.env) {
+  let override = {};
+  const source = env.LEGISLATOR_FIELD_MAP ? "LEGISLATOR_FIELD_MAP" : env.LEGISLATOR_FIELD_MAP_FILE || null;
+  try {
+    if (env.LEGISLATOR_FIELD_MAP) override = JSON.parse(env.LEGISLATOR_FIELD_MAP);
+    else if (env.LEGISLATOR_FIELD_MAP_FILE) override = JSON.parse(readFileSync(env.LEGISLATOR_FIELD_MAP_FILE, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid legislator field map in ${source}: ${err.message}`);
+  }
+  return { source: source || "defaults", fields: { ...DEFAULT_LEGISLATOR_FIELD_MAP.fields, ...override.fields } };
+}
+
+// -> { ok, problems, fields, types, options } where `options` holds the option
+// list of each Option field by attribute
+export function resolveLegislatorFieldMap(map, collection) {
+  const bySlug = Object.fromEntries((collection?.fields || []).map(f => [f.slug, f]));
+  const problems = [];
+  const fields = {}, types = {}, options = {};
+
+  for (const [attr, slug] of Object.entries(map.fields)) {
+    const f = slug ? bySlug[slug] : null;
+    if (!f) {
+      if (REQUIRED.has(attr)) problems.push({ attribute: attr, field: slug, problem: "Field not found in collection" });
+      fields[attr] = null;
+      continue;
+    }
+    if (FIELD_TYPES[attr] && !FIELD_TYPES[attr].includes(f.type)) {
+      problems.push({ attribute: attr, field: slug, problem: `Expected ${FIELD_TYPES[attr].join(" or ")} field, found ${f.type}` });
+    }
+    fields[attr] = slug;
+    types[attr] = f.type;
+    if (f.type === "Option") options[attr] = f.validations?.options || [];
+  }
+
+  return { ok: problems.length === 0, problems, fields, types, options };
+}
+
+// "house" / "senate" from the person's role, or their district ("HD-012A", "SD-012")
+export function personChamber(person, profile) {
+  if (!profile?.chambers?.house) return "senate"; // unicameral
+  const roleId = Number(person?.role_id ?? 0);
+  if (roleId === 1) return "house";
+  if (roleId === 2) return "senate";
+  const role = String(person?.role ?? "").toLowerCase();
+  if (role === "rep" || role === "representative") return "house";
+  if (role === "sen" || role === "senator") return "senate";
+  const district = String(person?.district ?? "").toUpperCase();
+  if (/^[HA]D/.test(district)) return "house";
+  if (/^SD/.test(district)) return "senate";
+  return profile?.districtChamber?.(district) || null;
+}
+
+// "HD-012A" -> "12A"
+export const districtLabel = (district) => String(district ?? "").replace(/^[A-Z]{2}-?0*(?=\w)/i, "");
+
+export function partyLabel(party, profile) {
+  const code = String(party ?? "").toUpperCase();
+  return profile?.partyLabels?.[code] || code;
+}
+
+export function legislatorSlug(person, state) {
+  return createSlug(`${state} ${person.name || ""} ${person.people_id}`);
+}
+
+// Sponsors with a LegiScan person record, primary sponsors first; committees are skipped
+export function sponsorPeopleIds(info) {
+  const list = (Array.isArray(info?.sponsors) ? info.sponsors : [])
+    .filter(s => Number(s?.people_id) > 0 && !Number(s?.committee_sponsor));
+  list.sort((a, b) => (Number(a.sponsor_order) || 0) - (Number(b.sponsor_order) || 0));
+  list.sort((a, b) => (Number(a.sponsor_type_id) === 1 ? 0 : 1) - (Number(b.sponsor_type_id) === 1 ? 0 : 1));
+  return [...new Set(list.map(s => Number(s.people_id)))];
+}
+
+// Item fieldData for a LegiScan person
+export function legislatorFieldData(person, { state, mapping }) {
+  const profile = getStateProfile(state);
+  const F = mapping.fields;
+  const fieldData = { slug: legislatorSlug(person, state) };
+  const put = (attr, value) => { if (F[attr] && value !== undefined) fieldData[F[attr]] = value; };
+  const option = (attr, ...names) => {
+    const wanted = names.filter(Boolean).map(n => String(n).toLowerCase());
+    return (mapping.options[attr] || []).find(o => wanted.includes(o.name.toLowerCase()))?.id;
+  };
+  const text = (attr, value, ...names) => (mapping.types[attr] === "Option" ? option(attr, value, ...names) : value || "");
+
+  const chamber = personChamber(person, profile);
+  const party = partyLabel(person.party, profile);
+
+  put("name", person.name || [person.first_name, person.last_name].filter(Boolean).join(" "));
+  put("peopleId", mapping.types.peopleId === "Number" ? Number(person.people_id) : String(person.people_id));
+  put("firstName", person.first_name || "");
+  put("lastName", person.last_name || "");
+  put("title", chamber ? profile?.sponsorTitles?.[chamber] || "" : "");
+  put("party", text("party", party, PARTY_NAMES[String(person.party ?? "").toUpperCase()]));
+  put("chamber", text("chamber", chamber ? chamberName(profile, chamber) : "", chamber));
+  put("district", districtLabel(person.district));
+  put("jurisdiction", mapping.types.jurisdiction === "Option"
+    ? (mapping.options.jurisdiction || []).find(o => stateFromJurisdictionName(o.name) === state)?.id
+    : profile?.name || state);
+  put("legiscanLink", `https://legiscan.com/${state}/people/${createSlug(person.name || "")}/id/${person.people_id}`);
+  put("ballotpediaLink", person.ballotpedia ? `https://ballotpedia.org/${encodeURIComponent(person.ballotpedia)}` : null);
+  put("voteSmartLink", Number(person.votesmart_id) > 0 ? `https://justfacts.votesmart.org/candidate/${person.votesmart_id}` : null);
+  // Members of Congress have an official portrait; state legislators don't come with one
+  if (person.bioguide_id) {
+    put("photo", { url: `https://bioguide.congress.gov/bioguide/photo/${person.bioguide_id[0]}/${person.bioguide_id}.jpg` });
+  }
+  return fieldData;
+}
+
+// Keeps the legislator collection in step with LegiScan people records and
+// resolves bill sponsors to legislator item ids. Items are only written when
+// their data changed since the last sync (hashes kept in the store under
+// `legislatorHash:<people_id>`), and publish() makes new and changed items live.
+export function createLegislatorDirectory({ webflow, legiscan, store, collectionId }) {
+  const stats = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+  const itemIds = new Map(); // people_id -> item id
+  const toPublish = [];
+  const pendingHashes = new Map(); // item id -> [people_id, hash], saved once published
+  const failures = [];
+  const wouldCreate = new Set(); // dry runs: people_ids already counted as new
+  let mapping = null;
+
+  const hashOf = (fieldData) => crypto.createHash("sha1").update(JSON.stringify(fieldData)).digest("hex");
+  const hashKey = (peopleId) => `legislatorHash:${peopleId}`;
+
+  async function load() {
+    if (mapping) return mapping;
+    const map = loadLegislatorFieldMap();
+    mapping = { source: map.source, ...resolveLegislatorFieldMap(map, await webflow.getCollection(collectionId)) };
+    if (!mapping.ok) return mapping;
+    const { items } = await webflow.listItems({ collection: collectionId });
+    items.forEach(item => {
+      const id = Number(item.fieldData?.[mapping.fields.peopleId]);
+      if (id) itemIds.set(id, item.id);
+    });
+    return mapping;
+  }
+
+  // Creates or updates items for LegiScan person records
+  async function upsert(people, { state, dryRun = false } = {}) {
+    const creates = [], updates = [];
+    for (const person of people) {
+      const peopleId = Number(person?.people_id);
+      if (!peopleId) continue;
+      const fieldData = legislatorFieldData(person, { state, mapping });
+      const hash = hashOf(fieldData);
+      const itemId = itemIds.get(peopleId);
+      if (itemId && (await store.get(hashKey(peopleId))) === hash) { stats.unchanged++; continue; }
+      (itemId ? updates : creates).push({ peopleId, hash, id: itemId, fieldData, name: person.name });
+    }
+
+    if (dryRun) {
+      creates.forEach(c => wouldCreate.add(c.peopleId));
+      stats.created += creates.length;
+      stats.updated += updates.length;
+      return;
+    }
+
+    if (creates.length) {
+      const { ok, failed } = await webflow.createItems(creates.map(c => ({ isDraft: false, fieldData: c.fieldData })), { collection: collectionId });
+      const bySlug = new Map(ok.map(it => [it.fieldData?.slug, it.id]));
+      creates.forEach(c => {
+        const id = bySlug.get(c.fieldData.slug);
+        if (!id) return;
+        itemIds.set(c.peopleId, id);
+        toPublish.push(id);
+        pendingHashes.set(id, [c.peopleId, c.hash]);
+        stats.created++;
+      });
+      failed.forEach(f => { stats.failed++; failures.push({ action: "create", error: f.error, details: f.details }); });
+    }
+
+    if (updates.length) {
+      const { failed } = await webflow.updateItems(updates.map(u => ({ id: u.id, fieldData: u.fieldData })), { collection: collectionId });
+      const failedIds = new Set(failed.map(f => f.id));
+      updates.forEach(u => {
+        if (failedIds.has(u.id)) return;
+        toPublish.push(u.id);
+        pendingHashes.set(u.id, [u.peopleId, u.hash]);
+        stats.updated++;
+      });
+      failed.forEach(f => { stats.failed++; failures.push({ action: "update", id: f.id, error: f.error, details: f.details }); });
+    }
+  }
+
+  // Legislator item ids for a bill's sponsors, adding people the directory doesn't have yet
+  async function refsFor(info, { state, dryRun = false } = {}) {
+    const ids = sponsorPeopleIds(info);
+    const missing = ids.filter(id => !itemIds.has(id) && !wouldCreate.has(id));
+    if (missing.length) {
+      const people = [];
+      for (const id of missing) {
+        const data = await legiscan.getPerson(id);
+        if (data.status === "OK" && data.person) people.push(data.person);
+      }
+      await upsert(people, { state, dryRun });
+    }
+    return ids.filter(id => itemIds.has(id)).map(id => itemIds.get(id));
+  }
+
+  async function publish() {
+    if (!toPublish.length) return { published: 0, failed: [] };
+    const ids = toPublish.splice(0);
+    const { publishedItemIds, failed } = await webflow.publishItems(ids, { collection: collectionId });
+    for (const id of publishedItemIds) {
+      const [peopleId, hash] = pendingHashes.get(id) || [];
+      if (peopleId) await store.set(hashKey(peopleId), hash);
+    }
+    return { published: publishedItemIds.length, failed };
+  }
+
+  return {
+    load,
+    upsert,
+    refsFor,
+    publish,
+    has: (peopleId) => itemIds.has(Number(peopleId)),
+    stats: () => ({ ...stats, known: itemIds.size, errors: failures.length ? [...failures] : undefined }),
+  };
+}
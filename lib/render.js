@@ -0,0 +1,231 @@
+// /lib/render.js
+// Builds the rich-text and slug values written to bill items from LegiScan bill
+// data. Shared by sync-bills and add-bills so both fill items the same way.
+
+import { readFileSync } from "fs";
+import { getStateProfile, chamberName, isBillNumber } from "./states.js";
+import { compileTemplate, renderTemplate } from "./template.js";
+
+// A bill number in any form the state's prefixes allow ("HF12", "H.F. 12",
+// "House File 12", "AB 5") counts as a placeholder; "Budget 2025" does not
+export const isPlaceholderName = (name, billNum, { state = "MN" } = {}) => {
+  const n = (name || "").trim();
+  return !n
+    || (billNum && n.toUpperCase() === billNum.toUpperCase())
+    || isBillNumber(n, getStateProfile(state))
+    || /^(untitled|tbd|placeholder)$/i.test(n);
+};
+
+export function pickBestTextUrl(info) {
+  if (!info) return null;
+  const texts = Array.isArray(info.texts) ? info.texts.slice() : [];
+  if (texts.length) {
+    texts.sort((a, b) => new Date(b.date || b.action_date || 0) - new Date(a.date || a.action_date || 0));
+    const pdf = texts.find(t => /pdf/i.test(t?.mime || "") || /\.pdf($|\?)/i.test(t?.state_link || t?.url || ""));
+    if (pdf) return pdf.state_link || pdf.url || null;
+    const first = texts[0];
+    if (first) return first.state_link || first.url || null;
+  }
+  return info.state_link || info.url || null;
+}
+
+export const esc = (s='') => s.replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
+export const fmt = (d) => {
+  if (!d) return '';
+  const [y,m,day] = (d.split('T')[0] || '').split('-');
+  const dt = (y && m && day) ? new Date(+y, +m-1, +day) : new Date(d);
+  return isNaN(dt) ? esc(d) : dt.toLocaleDateString('en-US', { month:'short', day:'numeric', year:'numeric' });
+};
+
+// --- Templates ---------------------------------------------------------------------
+//
+// Timelines and sponsor lists are rendered through templates (lib/template.js)
+// that can be set per field with RENDER_TEMPLATES (a JSON string) or
+// RENDER_TEMPLATES_FILE (path to a JSON file), keyed by field attribute:
+//   { "timeline": "<ol class=\"timeline\">{{#entries}}<li>...</li>{{/entries}}</ol>",
+//     "houseSponsors": "{{#sponsors}}<span class=\"badge {{chamber}}\">{{title}}</span> {{name}}{{/sponsors}}" }
+// houseTimeline / senateTimeline fall back to "timeline", houseSponsors /
+// senateSponsors to "sponsors", and those to the built-in markup below.
+//
+// Timeline view: { bill, billUrl, state, entries: [{ date (YYYY-MM-DD), dateText,
+//   single, action, chamber, chamberName, actions: [{ action, chamber, chamberName,
+//   major, first, last, position }], first, last, position }] }
+// Sponsors view: { bill, state, sponsors: [{ name, title, label, party, district,
+//   chamber, type, primary, peopleId, first, last, position }] }
+// `chamber` is "house" or "senate"; `position` counts from 1.
+
+export const DEFAULT_TEMPLATES = {
+  timeline: "{{#entries}}<p>{{#dateText}}<strong>{{dateText}}</strong><br>{{/dateText}}"
+    + "{{#single}}{{action}}{{/single}}{{^single}}{{#actions}}• {{action}}{{^last}}<br>{{/last}}{{/actions}}{{/single}}"
+    + "</p>{{^last}}<br>{{/last}}{{/entries}}{{^entries}}<p>No recent actions recorded</p>{{/entries}}",
+  sponsors: "{{#sponsors}}<p>{{label}}</p>{{^last}}<br>{{/last}}{{/sponsors}}",
+};
+
+const DEFAULT_TIMELINE = compileTemplate(DEFAULT_TEMPLATES.timeline);
+const DEFAULT_SPONSORS = compileTemplate(DEFAULT_TEMPLATES.sponsors);
+
+const TEMPLATE_FALLBACKS = {
+  timeline: "timeline", houseTimeline: "timeline", senateTimeline: "timeline",
+  sponsors: "sponsors", houseSponsors: "sponsors", senateSponsors: "sponsors",
+};
+
+// -> { source, timeline, houseTimeline, ..., senateSponsors } (compiled templates)
+export function loadRenderTemplates(env = process.env) {
+  const source = env.RENDER_TEMPLATES ? "RENDER_TEMPLATES" : env.RENDER_TEMPLATES_FILE || null;
+  let raw = {};
+  try {
+    if (env.RENDER_TEMPLATES) raw = JSON.parse(env.RENDER_TEMPLATES);
+    else if (env.RENDER_TEMPLATES_FILE) raw = JSON.parse(readFileSync(env.RENDER_TEMPLATES_FILE, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid render templates in ${source}: ${err.message}`);
+  }
+  const unknown = Object.keys(raw).filter(k => !TEMPLATE_FALLBACKS[k]);
+  if (unknown.length) throw new Error(`Invalid render templates in ${source}: unknown field ${unknown.map(k => `"${k}"`).join(", ")}`);
+
+  const templates = { source: source || "defaults" };
+  for (const [attr, base] of Object.entries(TEMPLATE_FALLBACKS)) {
+    const text = raw[attr] ?? raw[base] ?? DEFAULT_TEMPLATES[base];
+    try {
+      templates[attr] = compileTemplate(String(text));
+    } catch (err) {
+      throw new Error(`Invalid render templates in ${source}: ${attr}: ${err.message}`);
+    }
+  }
+  return templates;
+}
+
+const positioned = (list) => list.map((v, i) => ({ ...v, first: i === 0, last: i === list.length - 1, position: i + 1 }));
+
+// LegiScan's "H" / "A" / "S" (or chamber_id 1 / 2) -> "house" / "senate"
+const chamberKey = (c, id) =>
+  ({ H: "house", A: "house", S: "senate" }[String(c ?? "").toUpperCase()] || { 1: "house", 2: "senate" }[Number(id)] || null);
+
+// --- Timeline --------------------------------------------------------------------
+
+// Actions grouped by date, newest first: [{ date, actions: [{ action, chamber, major }] }].
+// Bills without a history get their last action, when LegiScan has one.
+export function timelineData(info) {
+  const hist = Array.isArray(info?.history) ? [...info.history] : [];
+  if (!hist.length) {
+    if (!info?.last_action) return [];
+    const d = info.last_action_date || info.status_date || null;
+    return [{ date: d, actions: [{ action: info.last_action, chamber: null, major: false }] }];
+  }
+
+  hist.sort((a,b) => new Date(b.date || b.action_date || 0) - new Date(a.date || a.action_date || 0));
+
+  const groupedByDate = new Map();
+  hist.forEach(item => {
+    const dateKey = item.date || item.action_date || '';
+    if (!groupedByDate.has(dateKey)) groupedByDate.set(dateKey, []);
+    groupedByDate.get(dateKey).push({
+      action: item.action || '',
+      chamber: chamberKey(item.chamber, item.chamber_id),
+      major: Number(item.importance) === 1,
+    });
+  });
+  return Array.from(groupedByDate, ([date, actions]) => ({ date: date || null, actions }));
+}
+
+export function buildTimelineHtml(info, { state = "MN", template } = {}) {
+  const profile = getStateProfile(state);
+  const withName = (a) => ({ ...a, chamberName: a.chamber ? chamberName(profile, a.chamber) : null });
+  const entries = positioned(timelineData(info).map(e => {
+    const actions = positioned(e.actions.map(withName));
+    return {
+      date: e.date,
+      dateText: fmt(e.date || ''),
+      single: actions.length === 1,
+      action: actions[0]?.action ?? '',
+      chamber: actions[0]?.chamber ?? null,
+      chamberName: actions[0]?.chamberName ?? null,
+      actions,
+    };
+  }));
+  const view = { bill: info?.bill_number || null, billUrl: info?.state_link || info?.url || null, state, entries };
+  return renderTemplate(template || DEFAULT_TIMELINE, view);
+}
+
+// --- Sponsors --------------------------------------------------------------------
+
+// Primary then joint sponsors, by name: [{ name, title, party, district, chamber, type, primary, peopleId }]
+export function sponsorData(info, { state = "MN" } = {}) {
+  const list = Array.isArray(info?.sponsors) ? [...info.sponsors] : [];
+  if (!list.length) return [];
+
+  const sponsorTypeRank = (typeId) => {
+    if (typeId === 1) return 0; // Primary
+    if (typeId === 3) return 1; // Joint
+    return 999;                // Skip others
+  };
+
+  const profile = getStateProfile(state);
+  const titles = profile?.sponsorTitles || { house: "Rep.", senate: "Sen." };
+
+  const chamberFor = (s) => {
+    const roleId = Number(s?.role_id ?? 0);
+    if (roleId === 1) return "house";
+    if (roleId === 2) return "senate";
+
+    const roleText = String(s?.role ?? "").toLowerCase();
+    if (roleText === "sen" || roleText === "senator") return "senate";
+    if (roleText === "rep" || roleText === "representative") return "house";
+
+    const ch = String(s?.chamber ?? s?.chamber_id ?? s?.type ?? "").toLowerCase();
+    if (ch === "s" || ch === "senate" || ch === "upper") return "senate";
+    if (ch === "h" || ch === "a" || ch === "house" || ch === "assembly" || ch === "lower") return "house";
+
+    return profile?.districtChamber?.(String(s?.district ?? "")) || null;
+  };
+
+  const filteredList = list.filter(s => sponsorTypeRank(s?.sponsor_type_id) < 999);
+  filteredList.sort(
+    (a, b) => sponsorTypeRank(a?.sponsor_type_id) - sponsorTypeRank(b?.sponsor_type_id) ||
+              (a?.name || "").localeCompare(b?.name || "")
+  );
+
+  const seen = new Set();
+  const items = filteredList.filter((s) => {
+    const key = [s?.name, s?.sponsor_type_id, s?.party, s?.district].join("|");
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return items.map((s) => {
+    const chamber = chamberFor(s);
+    return {
+      name: s?.name || "",
+      title: (chamber && titles[chamber]) || "",
+      party: s?.party ? String(s.party) : null,
+      district: s?.district ? String(s.district) : null,
+      chamber,
+      type: s?.sponsor_type_id === 1 ? "primary" : "joint",
+      primary: s?.sponsor_type_id === 1,
+      peopleId: Number(s?.people_id) || null,
+    };
+  });
+}
+
+export function buildSponsorsHtml(info, { state = "MN", template } = {}) {
+  const sponsors = positioned(sponsorData(info, { state }).map(s => ({
+    ...s,
+    label: `${s.title} ${s.name}${s.party ? ` (${s.party})` : ""}`.trim(),
+  })));
+  return renderTemplate(template || DEFAULT_SPONSORS, { bill: info?.bill_number || null, state, sponsors });
+}
+
+export const createSlug = (text) =>
+  text.toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 80);
+
+// "2025--hf12-sf10--bill-title"
+export function billSlug({ legislativeYear, houseNumber, senateNumber, title }) {
+  if (!legislativeYear || !title) return null;
+  const billNumbers = [houseNumber, senateNumber].filter(Boolean).join('-').toLowerCase();
+  return `${legislativeYear}--${billNumbers || 'bill'}--${createSlug(title)}`;
+}
@@ -0,0 +1,135 @@
+// /lib/smtp.js
+// Minimal SMTP client for alert digests: plain text mail over a direct
+// connection, implicit TLS (`secure`, port 465) or STARTTLS when the server
+// offers it, with optional AUTH PLAIN.
+
+import net from "net";
+import tls from "tls";
+import os from "os";
+
+// Reads SMTP replies ("250-..." continuation lines up to "250 ...") off a socket
+function createSession(timeoutMs) {
+  let socket = null, buf = "", lines = [], failure = null;
+  const replies = [], waiters = [];
+
+  const deliver = (reply) => (waiters.length ? waiters.shift().resolve(reply) : replies.push(reply));
+  const fail = (err) => {
+    failure = failure || err;
+    while (waiters.length) waiters.shift().reject(failure);
+  };
+  const onData = (chunk) => {
+    buf += chunk;
+    let i;
+    while ((i = buf.indexOf("\n")) >= 0) {
+      const line = buf.slice(0, i).replace(/\r$/, "");
+      buf = buf.slice(i + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        deliver({ code: Number(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join("\n") });
+        lines = [];
+      }
+    }
+  };
+  const onError = (err) => fail(err);
+  const onClose = () => fail(new Error("SMTP connection closed"));
+  const onTimeout = () => { fail(new Error("SMTP timeout")); socket.destroy(); };
+
+  return {
+    attach(sock) {
+      socket = sock;
+      sock.setEncoding("utf8");
+      sock.setTimeout(timeoutMs, onTimeout);
+      sock.on("data", onData);
+      sock.on("error", onError);
+      sock.on("close", onClose);
+    },
+    // Hands the raw socket over for a TLS upgrade
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+      socket.setTimeout(0);
+      return socket;
+    },
+    read() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    async command(line, expect) {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await this.read();
+      if (!expect.includes(reply.code)) {
+        const shown = line && /^AUTH/i.test(line) ? "AUTH" : line;
+        throw new Error(`SMTP ${shown ?? "greeting"} failed: ${reply.code} ${reply.text}`);
+      }
+      return reply;
+    },
+    end() { socket?.end(); },
+  };
+}
+
+function connect(options, secure) {
+  return new Promise((resolve, reject) => {
+    const sock = secure ? tls.connect(options, () => resolve(sock)) : net.connect(options, () => resolve(sock));
+    sock.once("error", reject);
+  });
+}
+
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+export function buildMessage({ from, to, subject, text, date = new Date() }) {
+  const domain = String(from).split("@")[1]?.replace(/>.*$/, "") || "localhost";
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${Date.now().toString(36)}.${Math.random().toString(36).slice(2)}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+  ];
+  const body = String(text).replace(/\r?\n/g, "\r\n").replace(/^\./gm, ".."); // dot-stuffing
+  return `${headers.join("\r\n")}\r\n\r\n${body}\r\n`;
+}
+
+export async function sendMail({
+  host, port, secure = false, starttls = true, user, pass,
+  from, to, subject, text, timeoutMs = 15000, clientName = os.hostname(),
+}) {
+  if (!host) throw new Error("SMTP host is not configured");
+  const recipients = [].concat(to || []).filter(Boolean);
+  if (!from || !recipients.length) throw new Error("SMTP mail needs a from address and at least one recipient");
+
+  const session = createSession(timeoutMs);
+  session.attach(await connect({ host, port: port || (secure ? 465 : 25), servername: host }, secure));
+
+  try {
+    await session.command(null, [220]);
+    let ehlo = await session.command(`EHLO ${clientName}`, [250]);
+
+    if (!secure && starttls && /^STARTTLS$/im.test(ehlo.text)) {
+      await session.command("STARTTLS", [220]);
+      const raw = session.detach();
+      session.attach(await connect({ socket: raw, servername: host }, true));
+      ehlo = await session.command(`EHLO ${clientName}`, [250]);
+    }
+
+    if (user) {
+      const token = Buffer.from(`\0${user}\0${pass || ""}`, "utf8").toString("base64");
+      await session.command(`AUTH PLAIN ${token}`, [235]);
+    }
+
+    const address = (a) => `<${String(a).replace(/^.*<|>.*$/g, "")}>`;
+    await session.command(`MAIL FROM:${address(from)}`, [250]);
+    for (const rcpt of recipients) await session.command(`RCPT TO:${address(rcpt)}`, [250, 251]);
+    await session.command("DATA", [354]);
+    const reply = await session.command(`${buildMessage({ from, to: recipients, subject, text })}.`, [250]);
+    await session.command("QUIT", [221]).catch(() => {});
+    return { accepted: recipients, response: reply.text };
+  } finally {
+    session.end();
+  }
+}
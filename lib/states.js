@@ -0,0 +1,189 @@
+// /lib/states.js
+// Per-jurisdiction profiles: bill number formats, chamber names, when
+// unfinished bills should be treated as tabled, sponsor titles and party names.
+//
+// Adjournment cutoffs are approximate end-of-session dates for the regular
+// calendar; revisit them when a legislature changes its schedule.
+
+const houseOrSenateByDistrict = (dist) => {
+  if (/^\d{1,3}[A-B]$/i.test(dist)) return "house"; // e.g. 12A
+  if (/^\d{1,3}$/.test(dist)) return "senate";
+  return null;
+};
+
+export const STATE_PROFILES = {
+  MN: {
+    code: "MN",
+    name: "Minnesota",
+    chambers: { house: "House", senate: "Senate" },
+    prefixes: { house: ["HF"], senate: ["SF"] },
+    numberAliases: { HOUSEFILE: "HF", SENATEFILE: "SF" },
+    sponsorTitles: { house: "Rep.", senate: "Sen." },
+    districtChamber: houseOrSenateByDistrict,
+    partyLabels: { D: "DFL" }, // LegiScan party code -> the party's name here
+    adjournment: (year) => new Date(year, 5, 1), // Jun 1
+  },
+  WI: {
+    code: "WI",
+    name: "Wisconsin",
+    chambers: { house: "Assembly", senate: "Senate" },
+    prefixes: { house: ["AB", "AJR", "AR"], senate: ["SB", "SJR", "SR"] },
+    numberAliases: { ASSEMBLYBILL: "AB", SENATEBILL: "SB" },
+    sponsorTitles: { house: "Rep.", senate: "Sen." },
+    // Biennial session; the last general-business floor period ends in spring of the even year
+    adjournment: (year) => new Date(year % 2 ? year + 1 : year, 3, 1), // Apr 1
+  },
+  IA: {
+    code: "IA",
+    name: "Iowa",
+    chambers: { house: "House", senate: "Senate" },
+    prefixes: { house: ["HF", "HSB", "HJR", "HR"], senate: ["SF", "SSB", "SJR", "SR"] },
+    numberAliases: { HOUSEFILE: "HF", SENATEFILE: "SF" },
+    sponsorTitles: { house: "Rep.", senate: "Sen." },
+    adjournment: (year) => new Date(year, 4, 1), // May 1
+  },
+  ND: {
+    code: "ND",
+    name: "North Dakota",
+    chambers: { house: "House", senate: "Senate" },
+    prefixes: { house: ["HB", "HCR", "HR"], senate: ["SB", "SCR", "SR"] },
+    numberAliases: { HOUSEBILL: "HB", SENATEBILL: "SB" },
+    sponsorTitles: { house: "Rep.", senate: "Sen." },
+    adjournment: (year) => new Date(year, 4, 1), // May 1 (meets in odd years only)
+  },
+  SD: {
+    code: "SD",
+    name: "South Dakota",
+    chambers: { house: "House", senate: "Senate" },
+    prefixes: { house: ["HB", "HJR", "HCR", "HR"], senate: ["SB", "SJR", "SCR", "SR"] },
+    numberAliases: { HOUSEBILL: "HB", SENATEBILL: "SB" },
+    sponsorTitles: { house: "Rep.", senate: "Sen." },
+    adjournment: (year) => new Date(year, 3, 1), // Apr 1, after veto day
+  },
+  NE: {
+    code: "NE",
+    name: "Nebraska",
+    // Unicameral; bills are kept in the senate slot since members are senators
+    chambers: { house: null, senate: "Legislature" },
+    prefixes: { house: [], senate: ["LB", "LR"] },
+    numberAliases: { LEGISLATIVEBILL: "LB" },
+    sponsorTitles: { house: "Sen.", senate: "Sen." },
+    adjournment: (year) => new Date(year, 5, 1), // Jun 1
+  },
+  US: {
+    code: "US",
+    name: "Federal",
+    aliases: ["United States", "US Congress", "Congress"],
+    chambers: { house: "House", senate: "Senate" },
+    prefixes: { house: ["HR", "HB", "HRES", "HJRES", "HCONRES", "HJR", "HCR"], senate: ["S", "SB", "SRES", "SJRES", "SCONRES", "SJR", "SCR", "SR"] },
+    numberAliases: {},
+    // Common citation -> LegiScan's numbering (H.R. 1 is "HB1" there)
+    legiscanPrefixes: { HR: ["HB", "HR"], S: ["SB"], HRES: ["HR"], SRES: ["SR"], HJRES: ["HJR"], SJRES: ["SJR"], HCONRES: ["HCR"], SCONRES: ["SCR"] },
+    sponsorTitles: { house: "Rep.", senate: "Sen." },
+    adjournment: () => null,
+  },
+};
+
+export const DEFAULT_STATE = "MN";
+
+export function getStateProfile(code) {
+  return STATE_PROFILES[String(code || "").toUpperCase()] || null;
+}
+
+// Webflow jurisdiction option name -> state code
+export function stateFromJurisdictionName(name) {
+  const n = String(name || "").trim().toLowerCase();
+  if (!n) return null;
+  const hit = Object.values(STATE_PROFILES).find(p =>
+    p.name.toLowerCase() === n || p.code.toLowerCase() === n || (p.aliases || []).some(a => a.toLowerCase() === n));
+  return hit ? hit.code : null;
+}
+
+const prefixesOf = (profile) => (profile ? [...profile.prefixes.house, ...profile.prefixes.senate].sort((a, b) => b.length - a.length) : []);
+
+// "H.F. 0012", "hf-12", "House File 12" -> "HF12"
+export function normalizeBillNumber(raw, profile = getStateProfile(DEFAULT_STATE)) {
+  const cleaned = String(raw || "").toUpperCase().replace(/[\s.\-]+/g, "").replace(/NO(?=\d)/, "");
+  const m = cleaned.match(/^([A-Z]+)0*(\d+)$/);
+  if (!m) return cleaned;
+  const letters = profile?.numberAliases?.[m[1]] || m[1];
+  return `${letters}${m[2]}`;
+}
+
+export function chamberOfNumber(number, profile) {
+  const n = String(number || "");
+  const prefix = prefixesOf(profile).find(p => new RegExp(`^${p}\\d+$`).test(n));
+  if (!prefix) return null;
+  return profile.prefixes.house.includes(prefix) ? "house" : "senate";
+}
+
+export function isBillNumber(value, profile) {
+  return chamberOfNumber(normalizeBillNumber(value, profile), profile) !== null;
+}
+
+// Normalizes the two number fields and moves a number typed into the wrong
+// chamber's field. `corrections` holds the values to write back.
+export function normalizeNumbers(rawHouse, rawSenate, profile) {
+  let h = normalizeBillNumber(rawHouse, profile), s = normalizeBillNumber(rawSenate, profile);
+  const corrections = {};
+  if (!h && chamberOfNumber(s, profile) === "house") { h = s; s = ""; corrections.houseNumber = h; corrections.senateNumber = ""; }
+  if (!s && chamberOfNumber(h, profile) === "senate") { s = h; h = ""; corrections.senateNumber = s; corrections.houseNumber = ""; }
+  return { houseNumber: h || "", senateNumber: s || "", corrections };
+}
+
+// Used when an item has no jurisdiction set: the state is only inferred when
+// exactly one profile numbers its bills that way (S12 and HJRES3 are federal,
+// AB5 is Wisconsin). HF/SF (Minnesota, Iowa) and HB/SB/HR/SR (the Dakotas,
+// Congress) need the jurisdiction set. -> { state, candidates, error }, where
+// `candidates` are the states the numbers could belong to.
+export function inferStateFromNumbers(...numbers) {
+  const raw = numbers.filter(Boolean);
+  if (!raw.length) return { state: null, candidates: [], error: "No bill number" };
+  const candidates = Object.values(STATE_PROFILES)
+    .filter(p => raw.every(n => isBillNumber(n, p)))
+    .map(p => p.code);
+  if (candidates.length === 1) return { state: candidates[0], candidates, error: null };
+  const shown = raw.map(n => normalizeBillNumber(n, null)).join(" / ");
+  const error = candidates.length
+    ? `Jurisdiction required: ${shown} could be ${candidates.join(", ")}`
+    : `Jurisdiction required: no supported state numbers bills like ${shown}`;
+  return { state: null, candidates, error };
+}
+
+// Numbers to try against LegiScan, in order
+export function legiscanNumbers(number, profile) {
+  const m = String(number || "").match(/^([A-Z]+)(\d+)$/);
+  const alts = m && profile?.legiscanPrefixes?.[m[1]];
+  return alts ? alts.map(p => `${p}${m[2]}`) : [number];
+}
+
+// After this date, bills from `year` that never got past committee/floor are treated as tabled
+export function sessionCutoff(profile, year) {
+  const y = Number(year);
+  return profile && y ? profile.adjournment(y) : null;
+}
+
+export function chamberName(profile, chamber) {
+  const key = { H: "house", A: "house", S: "senate" }[String(chamber || "").toUpperCase()] || chamber;
+  return profile?.chambers?.[key] || { house: "House", senate: "Senate" }[key] || chamber || "";
+}
+
+// Legislative-year field values: "2025", or "2025 Special" / "2025s1" for special sessions
+export function parseLegislativeYear(value) {
+  const m = String(value ?? "").trim().match(/^(\d{4})(?:\s*-?\s*(?:s|special(?:\s+session)?)\s*(\d*))?$/i);
+  if (!m) return { year: null, special: false, specialNumber: null };
+  return { year: Number(m[1]), special: /\D/.test(m[0].slice(4)), specialNumber: m[2] ? Number(m[2]) : null };
+}
+
+// LegiScan's sasts list the same-as (type 1) and similar-to (type 2) bills;
+// the companion is the one filed in the other chamber, same-as preferred.
+export function findCompanion(info, chamber, state) {
+  const profile = getStateProfile(state);
+  const list = Array.isArray(info?.sasts) ? info.sasts : [];
+  const hits = list
+    .filter(x => [1, 2].includes(Number(x?.type_id)) && x.sast_bill_number)
+    .map(x => ({ number: normalizeBillNumber(x.sast_bill_number, profile), bill_id: x.sast_bill_id, type: x.type, type_id: Number(x.type_id) }))
+    .filter(x => chamberOfNumber(x.number, profile) === chamber)
+    .sort((a, b) => a.type_id - b.type_id);
+  return hits[0] || null;
+}
@@ -0,0 +1,173 @@
+// /lib/status.js
+// Bill status engine. Derives a detailed legislative stage from LegiScan's
+// `progress` events and `history` actions, and maps it down to the four
+// status options the CMS has always used (Active / Tabled / Failed / Passed).
+
+import { getStateProfile, sessionCutoff, chamberName } from "./states.js";
+
+export const STAGES = [
+  "introduced", "in_committee", "reported_out", "passed_origin", "passed_second",
+  "conference", "sent_to_governor", "signed", "vetoed", "veto_overridden", "failed", "tabled",
+];
+
+const RANK = {
+  introduced: 0, in_committee: 1, reported_out: 2, passed_origin: 3, passed_second: 5,
+  conference: 6, sent_to_governor: 7, vetoed: 8, veto_overridden: 9, signed: 9,
+};
+const TERMINAL = new Set(["signed", "veto_overridden"]);
+
+// LegiScan progress event codes
+const PROGRESS = {
+  1: "introduced", 2: "engrossed", 3: "enrolled", 4: "signed", 5: "vetoed", 6: "failed",
+  7: "veto_overridden", 8: "signed", 9: "referral", 10: "report_pass", 11: "report_dnp",
+};
+
+const DEAD_RE = /tabled|laid on (?:the )?table|postponed|indefinitely|sine die|died|withdrawn|stricken/;
+// Votes on amendments and motions ("Amendment offered by Rep. X failed",
+// "Motion to reconsider prevailed") say nothing about the bill itself
+const PROCEDURAL_RE = /\bamendments?\b|\bmotions?\b|to reconsider|to suspend/;
+// Failure of the bill itself: on passage / third reading, or postponed indefinitely
+const BILL_FAILED_RE = /failed to pass|failed (?:on |at )?(?:final passage|third reading|passage)|(?:final passage|third reading|passage)[^.;]*\b(?:failed|defeated)\b|\bbill (?:failed|defeated|was defeated)\b|indefinitely postponed/;
+
+// Reads a history action into an event kind (or null)
+export function classifyAction(action) {
+  const a = action.toLowerCase();
+  if (/veto(?:ed)?\b.*overrid|overrid.*veto/.test(a)) return "veto_overridden";
+  if (/\bvetoed\b|veto message/.test(a)) return "vetoed";
+  if (/signed by (?:the )?(?:governor|president)|became (?:public )?law|public law no|chapter \d+|chaptered|approved by (?:the )?governor/.test(a)) return "signed";
+  if (/(?:presented|sent|delivered|transmitted) to (?:the )?(?:governor|president)/.test(a)) return "to_governor";
+  if (/conference committee|conferees/.test(a)) return "conference";
+  if (/\bre-?refer/.test(a)) return "referral"; // "to pass as amended and re-refer to ..."
+  if (/do not pass|indefinitely postponed in committee/.test(a)) return "report_dnp";
+  if (/(?:committee report|reported|recommended)[^.;]*(?:to pass|do pass|favorabl)|placed on general orders|reported out/.test(a)) return "report_pass";
+  if (/\b(?:re-?)?refer(?:red)? to\b/.test(a)) return "referral";
+  if (PROCEDURAL_RE.test(a)) return null;
+  if (BILL_FAILED_RE.test(a)) return "failed";
+  if (DEAD_RE.test(a)) return "tabled";
+  if (/(?:third reading|final passage|bill was passed|\bpassed\b)/.test(a) && !/not passed/.test(a)) return "passed";
+  return null;
+}
+
+function committeeFromAction(action) {
+  const m = action.match(/refer(?:red)? to (?:the )?(?:committee on )?([^.;(]+)/i);
+  return m ? m[1].trim() : null;
+}
+
+const byDate = (a, b) => new Date(a.date || 0) - new Date(b.date || 0);
+
+// -> { stage, label, chamber, committee, date }
+export function deriveStage(info, { state } = {}) {
+  const profile = getStateProfile(state);
+  const origin = String(info?.body || "").toUpperCase() || null;
+
+  const events = [];
+  (Array.isArray(info?.progress) ? info.progress : []).forEach(p => {
+    const kind = PROGRESS[Number(p?.event)];
+    if (kind) events.push({ date: p.date, kind, order: 0 });
+  });
+  (Array.isArray(info?.history) ? info.history : []).forEach((h, i) => {
+    const kind = classifyAction(String(h?.action || ""));
+    if (kind) events.push({ date: h.date, kind, chamber: String(h.chamber || "").toUpperCase(), action: h.action, order: i + 1 });
+  });
+  events.sort((a, b) => byDate(a, b) || a.order - b.order);
+
+  // `reached` is the furthest floor/executive milestone; committee stages can
+  // follow it (a bill heading through the second chamber's committees)
+  let stage = "introduced", reached = "introduced", chamber = origin, committee = null, date = info?.status_date || null;
+  const passedChambers = new Set();
+  const set = (next, ev, extra = {}) => {
+    if (TERMINAL.has(stage) && next !== stage) return;
+    const committeeStage = next === "in_committee" || next === "reported_out";
+    if (committeeStage && RANK[reached] >= RANK.passed_second) return;
+    if (!committeeStage && RANK[next] !== undefined && RANK[next] < RANK[reached]) return;
+    stage = next;
+    if (!committeeStage && RANK[next] !== undefined) reached = next;
+    date = ev.date || date;
+    if (ev.chamber) chamber = ev.chamber;
+    if (!committeeStage) committee = null;
+    if (extra.committee !== undefined) committee = extra.committee;
+  };
+
+  for (const ev of events) {
+    switch (ev.kind) {
+      case "introduced": if (stage === "introduced") date = ev.date || date; break;
+      case "referral": set("in_committee", ev, { committee: (ev.action && committeeFromAction(ev.action)) || committee }); break;
+      case "report_pass": set("reported_out", ev); break;
+      case "report_dnp": set("failed", ev); break;
+      case "engrossed": set("passed_origin", ev); break;
+      case "enrolled": set("passed_second", ev); break;
+      case "passed": {
+        const c = ev.chamber || "?";
+        passedChambers.add(c);
+        const second = passedChambers.size > 1 || (origin && c !== origin);
+        set(second ? "passed_second" : "passed_origin", ev);
+        break;
+      }
+      case "conference": set("conference", ev); break;
+      case "to_governor": set("sent_to_governor", ev); break;
+      case "vetoed": set("vetoed", ev); break;
+      case "veto_overridden": set("veto_overridden", ev); break;
+      case "signed": set("signed", ev); break;
+      case "failed": set("failed", ev); break;
+      case "tabled": if (!TERMINAL.has(stage)) { stage = "tabled"; date = ev.date || date; } break;
+    }
+  }
+
+  // LegiScan's own status wins when the events are thin
+  const code = Number(info?.status);
+  if (code === 4 && !TERMINAL.has(stage)) stage = "signed";
+  else if (code === 5 && RANK[reached] < RANK.vetoed) stage = "vetoed";
+  else if (code === 6 && !TERMINAL.has(stage)) stage = "failed";
+  else if (code === 3 && RANK[reached] < RANK.passed_second) stage = "passed_second";
+  else if (code === 2 && RANK[reached] < RANK.passed_origin) stage = "passed_origin";
+
+  if (stage === "in_committee" && !committee && info?.committee?.name) committee = info.committee.name;
+
+  const chamberText = chamberName(profile, chamber);
+  return { stage, label: stageLabel(stage, { committee, chamberText, state }), chamber: chamberText || null, committee, date };
+}
+
+export function stageLabel(stage, { committee, chamberText, state } = {}) {
+  const executive = state === "US" ? "President" : "Governor";
+  switch (stage) {
+    case "introduced": return "Introduced";
+    case "in_committee": return committee ? `In committee: ${committee}` : "In committee";
+    case "reported_out": return "Reported out of committee";
+    case "passed_origin": return chamberText ? `Passed ${chamberText}` : "Passed originating chamber";
+    case "passed_second": return chamberText ? `Passed ${chamberText} (second chamber)` : "Passed second chamber";
+    case "conference": return "In conference committee";
+    case "sent_to_governor": return `Sent to ${executive}`;
+    case "signed": return "Signed into law";
+    case "vetoed": return "Vetoed";
+    case "veto_overridden": return "Veto overridden";
+    case "failed": return "Failed";
+    case "tabled": return "Tabled";
+    default: return stage;
+  }
+}
+
+// Maps a stage down to the CMS status options. Unfinished bills past the
+// session's adjournment date count as tabled.
+// Whether the session's adjournment cutoff has passed, the one input to the
+// status that changes with the date rather than with the bill
+export function pastSessionCutoff({ state, legislativeYear } = {}, now = new Date()) {
+  const cutoff = sessionCutoff(getStateProfile(state), legislativeYear);
+  return !!cutoff && now >= cutoff;
+}
+
+export function statusKeyForStage(stage, { state, legislativeYear } = {}) {
+  if (stage === "signed" || stage === "veto_overridden") return "Passed";
+  if (stage === "vetoed" || stage === "failed") return "Failed";
+  if (stage === "tabled") return "Tabled";
+
+  if (pastSessionCutoff({ state, legislativeYear }) && stage !== "sent_to_governor") return "Tabled";
+  return "Active";
+}
+
+export function computeStatusKey(billInfo, { state, legislativeYear } = {}) {
+  const la = String(billInfo?.last_action || "").toLowerCase();
+  const { stage } = deriveStage(billInfo, { state });
+  // Dead-looking last actions still read as tabled, as they always have
+  if (DEAD_RE.test(la) && !["signed", "veto_overridden", "vetoed", "failed"].includes(stage)) return "Tabled";
+  return statusKeyForStage(stage, { state, legislativeYear });
+}
@@ -0,0 +1,120 @@
+// /lib/store.js
+// Tiny key/value store for state that has to survive between sync runs
+// (last-seen LegiScan change hashes, resumable sync cursors, etc.).
+// Any object with async get(key) / set(key, value) / delete(key) / flush() can
+// stand in for these; SYNC_STORE selects the built-in one:
+//   "redis"   a Redis REST endpoint (Upstash, Vercel KV) at KV_REST_API_URL /
+//             KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_URL / _TOKEN); the default
+//             when those are set. The one shared by every function instance,
+//             so it's what deployments need: the sync's records reach /api/bills,
+//             the feeds and exports, and usage counts and cursors aren't per instance
+//   "file"    a JSON file (SYNC_STORE_PATH, default under the OS temp dir); on
+//             Vercel /tmp belongs to one instance, so only for local runs.
+//             Writes stay in memory until flush(), which rewrites the file once;
+//             handlers flush in a `finally` rather than on each of a sync's sets
+//   "memory"  this process only
+
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+const DEFAULT_PATH = path.join(os.tmpdir(), "legiscan-bill-tracker", "sync-store.json");
+
+export function createFileStore(filePath = process.env.SYNC_STORE_PATH || DEFAULT_PATH) {
+  let data = null;
+  let dirty = false;
+
+  async function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, "utf8")) || {};
+    } catch (err) {
+      if (err.code !== "ENOENT") console.warn(`Store unreadable, starting empty: ${err.message}`);
+      data = {};
+    }
+    return data;
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, filePath);
+  }
+
+  return {
+    async get(key) {
+      const d = await load();
+      return d[key] ?? null;
+    },
+    async set(key, value) {
+      const d = await load();
+      d[key] = value;
+      dirty = true;
+    },
+    async delete(key) {
+      const d = await load();
+      if (!(key in d)) return;
+      delete d[key];
+      dirty = true;
+    },
+    async flush() {
+      if (!dirty) return;
+      dirty = false;
+      await save();
+    },
+  };
+}
+
+// Redis over HTTPS (the Upstash REST protocol: a command array POSTed to the
+// base URL). Values are stored as JSON.
+export function createRedisStore({
+  url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL,
+  token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN,
+  timeoutMs = 10000,
+} = {}) {
+  if (!url || !token) throw new Error("SYNC_STORE=redis needs KV_REST_API_URL and KV_REST_API_TOKEN");
+
+  async function command(...args) {
+    const r = await fetch(url, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const body = await r.json().catch(() => ({}));
+    if (!r.ok || body.error) throw new Error(`Store ${args[0]} failed: ${body.error || `HTTP ${r.status}`}`);
+    return body.result;
+  }
+
+  return {
+    async get(key) {
+      const raw = await command("GET", key);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async set(key, value) { await command("SET", key, JSON.stringify(value)); },
+    async delete(key) { await command("DEL", key); },
+    async flush() {},
+  };
+}
+
+const memory = new Map();
+
+// Process-local store; survives only as long as a warm function instance
+export function createMemoryStore(data = memory) {
+  return {
+    async get(key) { return data.has(key) ? data.get(key) : null; },
+    async set(key, value) { data.set(key, value); },
+    async delete(key) { data.delete(key); },
+    async flush() {},
+  };
+}
+
+const redisConfigured = (env) => !!((env.KV_REST_API_URL && env.KV_REST_API_TOKEN) || (env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN));
+
+export function getStore(type = process.env.SYNC_STORE || (redisConfigured(process.env) ? "redis" : "file")) {
+  if (type === "memory") return createMemoryStore();
+  if (type === "redis") return createRedisStore();
+  if (type === "file") return createFileStore();
+  throw new Error(`Unknown SYNC_STORE: ${type}`);
+}
@@ -0,0 +1,80 @@
+// /lib/template.js
+// A small Mustache-style template language for the markup written to bill
+// items (see lib/render.js):
+//   {{name}}              value, HTML-escaped; dotted names (`bill.url`) and {{.}} work
+//   {{{name}}}, {{&name}} value as is
+//   {{#name}}...{{/name}} once per element of a list, once with a non-empty
+//                         value's fields in scope, not at all when it's empty
+//   {{^name}}...{{/name}} only when the value is empty / false / []
+//   {{! comment }}
+// Names missing from the current element are looked up in the enclosing ones.
+
+const TAG = /\{\{(\{)?\s*([#^/!&]?)\s*([^}]*?)\s*\}?\}\}/g;
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+// Template source -> tree; throws on unbalanced sections
+export function compileTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0, m;
+  TAG.lastIndex = 0;
+  while ((m = TAG.exec(source))) {
+    const top = stack[stack.length - 1];
+    if (m.index > last) top.children.push(source.slice(last, m.index));
+    last = TAG.lastIndex;
+    const [, triple, sigil, name] = m;
+    if (sigil === "!") continue;
+    if (sigil === "#" || sigil === "^") {
+      const node = { section: name, inverted: sigil === "^", children: [] };
+      top.children.push(node);
+      stack.push(node);
+    } else if (sigil === "/") {
+      if (top.section !== name) throw new Error(`Unexpected {{/${name}}}${top.section ? ` (open section is "${top.section}")` : ""}`);
+      stack.pop();
+    } else {
+      top.children.push({ name, raw: Boolean(triple) || sigil === "&" });
+    }
+  }
+  if (stack.length > 1) throw new Error(`Unclosed section "${stack[stack.length - 1].section}"`);
+  if (last < source.length) root.children.push(source.slice(last));
+  return root;
+}
+
+function lookup(scopes, name) {
+  if (name === ".") return scopes[scopes.length - 1];
+  const [head, ...rest] = name.split(".");
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope !== null && typeof scope === "object" && head in scope) {
+      return rest.reduce((v, key) => (v == null ? undefined : v[key]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+const isEmpty = (v) => v == null || v === false || v === "" || (Array.isArray(v) && !v.length);
+
+function renderNodes(nodes, scopes) {
+  let out = "";
+  for (const node of nodes) {
+    if (typeof node === "string") { out += node; continue; }
+    const value = lookup(scopes, node.section ?? node.name);
+    if (node.section === undefined) {
+      if (value != null && value !== false) out += node.raw ? String(value) : escapeHtml(value);
+    } else if (node.inverted) {
+      if (isEmpty(value)) out += renderNodes(node.children, scopes);
+    } else if (Array.isArray(value)) {
+      value.forEach(v => { out += renderNodes(node.children, [...scopes, v]); });
+    } else if (!isEmpty(value)) {
+      out += renderNodes(node.children, [...scopes, value]);
+    }
+  }
+  return out;
+}
+
+// `template` is a compiled tree or a source string
+export function renderTemplate(template, view) {
+  const tree = typeof template === "string" ? compileTemplate(template) : template;
+  return renderNodes(tree.children, [view]);
+}
@@ -0,0 +1,149 @@
+// /lib/topics.js
+// Tags bills with the site's own topics and committees from LegiScan metadata:
+// a bill's `subjects` become topics, the committee it currently sits in
+// becomes the committee value.
+//
+// Aliases come from TOPICS_CONFIG (a JSON string) or TOPICS_CONFIG_FILE (path to
+// a JSON file). Names are matched case-insensitively:
+//   { "subjects": { "Taxation": "Taxes", "Education -- Higher": "Higher Education" },
+//     "committees": { "Education Finance": "Education" },
+//     "ignore": ["Legislature"] }
+// A subject or committee without an alias is used as is when the site has a
+// topic / committee of that name; everything else (except `ignore`d subjects)
+// is reported as unmapped so editors can extend the table.
+//
+// The topic and committee fields can be Option, Reference / MultiReference
+// (matched by the referenced item's name or slug) or PlainText fields.
+
+import { readFileSync } from "fs";
+
+const REPORT_KEY = "unmappedTopics";
+
+const lower = (s) => String(s ?? "").trim().toLowerCase();
+const aliasMap = (obj) => new Map(Object.entries(obj || {}).map(([from, to]) => [lower(from), to]));
+
+export function loadTopicConfig(env = process.env) {
+  let raw = {};
+  const source = env.TOPICS_CONFIG ? "TOPICS_CONFIG" : env.TOPICS_CONFIG_FILE || null;
+  try {
+    if (env.TOPICS_CONFIG) raw = JSON.parse(env.TOPICS_CONFIG);
+    else if (env.TOPICS_CONFIG_FILE) raw = JSON.parse(readFileSync(env.TOPICS_CONFIG_FILE, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid topics config in ${source}: ${err.message}`);
+  }
+  return {
+    source: source || "none",
+    subjects: aliasMap(raw.subjects),
+    committees: aliasMap(raw.committees),
+    ignore: new Set((raw.ignore || []).map(lower)),
+  };
+}
+
+// Values each tagging field accepts, read from the schema (and, for reference
+// fields, the referenced collection). `fields` maps attribute -> field slug.
+// -> { value(attr, names) -> { value, unknown: [name] }, has(attr, name) }
+export async function loadTaxonomy({ webflow, collection, fields }) {
+  const bySlug = Object.fromEntries((collection?.fields || []).map(f => [f.slug, f]));
+  const entries = {}; // attr -> { type, values: [{ id, names }] | null }
+  const referenced = new Map(); // collection id -> Promise<items>
+
+  for (const [attr, slug] of Object.entries(fields)) {
+    const f = slug && bySlug[slug];
+    if (!f) continue;
+    if (f.type === "Option") {
+      entries[attr] = { type: f.type, values: (f.validations?.options || []).map(o => ({ id: o.id, names: [lower(o.name)] })) };
+    } else if (f.type === "Reference" || f.type === "MultiReference") {
+      const id = f.validations?.collectionId;
+      if (!referenced.has(id)) referenced.set(id, webflow.listItems({ collection: id }).then(r => r.items));
+      const items = await referenced.get(id);
+      entries[attr] = { type: f.type, values: items.map(it => ({ id: it.id, names: [lower(it.fieldData?.name), lower(it.fieldData?.slug)] })) };
+    } else {
+      entries[attr] = { type: f.type, values: null }; // free text
+    }
+  }
+
+  const find = (attr, name) => entries[attr]?.values?.find(v => v.names.includes(lower(name)));
+
+  return {
+    has: (attr, name) => !!entries[attr] && (entries[attr].values === null || !!find(attr, name)),
+    value(attr, names) {
+      const entry = entries[attr];
+      if (!entry) return { value: undefined, unknown: [] };
+      const list = [...new Set(names.filter(Boolean))];
+      if (entry.values === null) return { value: list.join(", "), unknown: [] };
+      const hits = list.map(n => find(attr, n));
+      const ids = [...new Set(hits.filter(Boolean).map(h => h.id))];
+      const unknown = list.filter((_, i) => !hits[i]);
+      return { value: entry.type === "MultiReference" ? ids : ids[0] || null, unknown };
+    },
+  };
+}
+
+// Adds resolved topics to the item's current value, so topics editors picked by
+// hand stay: references and text are merged, an Option is only replaced when a
+// topic resolved. Returns undefined when there is nothing to write.
+export function mergeTopicValue(current, next) {
+  if (Array.isArray(next)) {
+    const merged = [...new Set([...(Array.isArray(current) ? current : []), ...next])];
+    return merged.length ? merged : undefined;
+  }
+  if (typeof next === "string") {
+    const names = (v) => String(v || "").split(",").map(n => n.trim()).filter(Boolean);
+    const merged = [...new Set([...names(current), ...names(next)])];
+    return merged.length ? merged.join(", ") : undefined;
+  }
+  return next || undefined;
+}
+
+// Site topics for a bill's LegiScan subjects -> { topics, unmapped }
+export function mapSubjects(subjects, config, taxonomy, attr = "topics") {
+  const topics = [], unmapped = [];
+  for (const s of subjects) {
+    const name = String(s?.subject_name ?? s ?? "").trim();
+    if (!name || config.ignore.has(lower(name))) continue;
+    const alias = config.subjects.get(lower(name));
+    if (alias) topics.push(...[].concat(alias));
+    else if (taxonomy.has(attr, name)) topics.push(name);
+    else unmapped.push(name);
+  }
+  return { topics: [...new Set(topics)], unmapped };
+}
+
+// Site committee for a LegiScan committee name -> { committee, unmapped }
+export function mapCommittee(name, config, taxonomy, attr) {
+  if (!name) return { committee: null, unmapped: null };
+  const alias = config.committees.get(lower(name));
+  if (alias) return { committee: alias, unmapped: null };
+  return taxonomy.has(attr, name) ? { committee: name, unmapped: null } : { committee: null, unmapped: name };
+}
+
+// Unmapped names collected across runs: { subjects: { name: { bills, lastSeen } }, committees: {...} }
+export async function recordUnmapped(store, found) {
+  const report = (await store.get(REPORT_KEY)) || { subjects: {}, committees: {} };
+  const now = new Date().toISOString();
+  for (const kind of ["subjects", "committees"]) {
+    for (const [name, bills] of found[kind] || []) {
+      const prev = report[kind][name] || { bills: [] };
+      report[kind][name] = { bills: [...new Set([...prev.bills, ...bills])].slice(-50), lastSeen: now };
+    }
+  }
+  await store.set(REPORT_KEY, report);
+  return report;
+}
+
+// The stored report minus the names the alias table maps or (with `taxonomy`)
+// that now match a site topic / committee directly
+export async function unmappedReport(store, config, taxonomy = null) {
+  const report = (await store.get(REPORT_KEY)) || { subjects: {}, committees: {} };
+  const known = (attrs) => (name) => !!taxonomy && attrs.some(attr => taxonomy.has(attr, name));
+  const list = (kind, aliases, matched, skip = new Set()) => Object.entries(report[kind] || {})
+    .filter(([name]) => !aliases.has(lower(name)) && !skip.has(lower(name)) && !matched(name))
+    .map(([name, r]) => ({ name, billCount: r.bills.length, bills: r.bills, lastSeen: r.lastSeen }))
+    .sort((a, b) => b.billCount - a.billCount || a.name.localeCompare(b.name));
+  return {
+    subjects: list("subjects", config.subjects, known(["topics"]), config.ignore),
+    committees: list("committees", config.committees, known(["houseCommittee", "senateCommittee"])),
+  };
+}
+
+export const clearUnmapped = (store) => store.delete(REPORT_KEY);
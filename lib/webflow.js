@@ -0,0 +1,175 @@
+// /lib/webflow.js
+// Webflow CMS (API v2) client shared by the endpoints. Honors the rate-limit
+// headers (pauses when X-RateLimit-Remaining runs out, waits out Retry-After on
+// a 429), retries 429 / 5xx / network errors with exponential backoff, and uses
+// the bulk items endpoints in chunks of 100. Creates are only retried on a 429:
+// after a 5xx or a dropped connection Webflow may already have made the items,
+// and a second POST would duplicate them.
+
+const BASE_URL = "https://api.webflow.com/v2";
+const CHUNK = 100; // Webflow's maximum page size and bulk batch size
+const RATE_WINDOW_MS = 60 * 1000;
+
+export class WebflowError extends Error {
+  constructor(message, { status, details } = {}) {
+    super(message);
+    this.name = "WebflowError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+const chunks = (list, size = CHUNK) =>
+  Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const at = Date.parse(value);
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+export function createWebflowClient({
+  token,
+  collectionId,
+  retries = 4,
+  retryDelayMs = 1000,
+  timeoutMs = 30000,
+} = {}) {
+  if (!token) throw new WebflowError("Webflow API token is required");
+
+  const stats = { requests: 0, retries: 0, rateLimitWaits: 0 };
+  let pauseUntil = 0;
+
+  // `idempotent: false` (creates) limits the retries to 429s, which Webflow
+  // answers before doing anything
+  async function request(method, path, body, { idempotent = true } = {}) {
+    const unsure = "; not retried, the request may have gone through";
+    for (let attempt = 0; ; attempt++) {
+      const wait = pauseUntil - Date.now();
+      if (wait > 0) { stats.rateLimitWaits++; await sleep(wait); }
+
+      let r;
+      try {
+        stats.requests++;
+        r = await fetch(`${BASE_URL}${path}`, {
+          method,
+          headers: { Authorization: `Bearer ${token}`, ...(body ? { "Content-Type": "application/json" } : {}) },
+          body: body ? JSON.stringify(body) : undefined,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+      } catch (err) {
+        if (!idempotent) throw new WebflowError(`Webflow ${method} ${path} failed: ${err.message}${unsure}`);
+        if (attempt >= retries) throw new WebflowError(`Webflow ${method} ${path} failed: ${err.message}`);
+        stats.retries++;
+        await sleep(retryDelayMs * 2 ** attempt);
+        continue;
+      }
+
+      // Out of requests for this window: hold the next call until it resets
+      const remaining = r.headers.get("x-ratelimit-remaining");
+      if (remaining !== null && Number(remaining) <= 0) {
+        pauseUntil = Date.now() + (retryAfterMs(r.headers.get("retry-after")) ?? RATE_WINDOW_MS);
+      }
+
+      if (r.ok) return r.status === 204 ? {} : r.json().catch(() => ({}));
+
+      const data = await r.json().catch(() => ({}));
+      const retryable = r.status === 429 || (idempotent && r.status >= 500);
+      if (!retryable || attempt >= retries) {
+        const note = !idempotent && r.status >= 500 ? unsure : "";
+        throw new WebflowError(`Webflow ${method} ${path} failed: ${data.message || r.statusText || r.status}${note}`,
+          { status: r.status, details: data.details || data });
+      }
+      stats.retries++;
+      const delay = r.status === 429 ? retryAfterMs(r.headers.get("retry-after")) ?? retryDelayMs * 2 ** attempt : retryDelayMs * 2 ** attempt;
+      pauseUntil = Math.max(pauseUntil, Date.now() + delay);
+    }
+  }
+
+  const items = (id) => `/collections/${id || collectionId}/items`;
+
+  // Sends `list` in bulk chunks; when a chunk is rejected (one bad item fails
+  // the whole request) its items are retried one at a time so the others land.
+  // -> { ok: [result], failed: [{ id, error, status, details }] }
+  async function inChunks(list, sendChunk, sendOne) {
+    const ok = [], failed = [];
+    for (const chunk of chunks(list)) {
+      try {
+        ok.push(...await sendChunk(chunk));
+      } catch (err) {
+        if (err.status === 429 || err.status >= 500 || !err.status) {
+          chunk.forEach(it => failed.push({ id: it.id, error: err.message, status: err.status, details: err.details }));
+          continue;
+        }
+        for (const it of chunk) {
+          try {
+            ok.push(await sendOne(it));
+          } catch (e) {
+            failed.push({ id: it.id, error: e.message, status: e.status, details: e.details });
+          }
+        }
+      }
+    }
+    return { ok, failed };
+  }
+
+  return {
+    request,
+    stats: () => ({ ...stats }),
+
+    getCollection: (id = collectionId) => request("GET", `/collections/${id}`),
+
+    // Walks offset/limit pagination; `max` caps how many items are returned
+    async listItems({ offset = 0, max = Infinity, collection } = {}) {
+      const out = [];
+      let total = 0;
+      let next = offset;
+      do {
+        const limit = Math.min(CHUNK, max - out.length);
+        const page = await request("GET", `${items(collection)}?offset=${next}&limit=${limit}`);
+        const pageItems = page.items || [];
+        out.push(...pageItems);
+        total = page.pagination?.total ?? (next + pageItems.length);
+        next += pageItems.length;
+        if (!pageItems.length) break;
+      } while (next < total && out.length < max);
+      return { items: out, total };
+    },
+
+    // Staged (draft unless isDraft is false) items: [{ fieldData, isDraft? }]
+    createItem: (item, { collection } = {}) => request("POST", items(collection), item, { idempotent: false }),
+    createItems(list, { collection } = {}) {
+      return inChunks(list,
+        async (chunk) => (await request("POST", items(collection), { items: chunk }, { idempotent: false })).items || [],
+        (item) => request("POST", items(collection), item, { idempotent: false }));
+    },
+
+    updateItem: (id, data, { collection } = {}) => request("PATCH", `${items(collection)}/${id}`, data),
+    // [{ id, fieldData }]
+    updateItems(list, { collection } = {}) {
+      return inChunks(list,
+        async (chunk) => (await request("PATCH", items(collection), { items: chunk })).items || chunk,
+        ({ id, ...data }) => request("PATCH", `${items(collection)}/${id}`, data).then(r => ({ id, ...r })));
+    },
+
+    // -> { publishedItemIds, failed: [{ ids, error }] }
+    async publishItems(itemIds, { collection } = {}) {
+      const publishedItemIds = [], failed = [];
+      for (const ids of chunks(itemIds)) {
+        try {
+          const body = await request("POST", `${items(collection)}/publish`, { itemIds: ids });
+          publishedItemIds.push(...(body.publishedItemIds || []));
+          if (body.errors?.length) failed.push({ ids, error: "Some items were not published", details: body.errors });
+        } catch (err) {
+          failed.push({ ids, error: err.message, status: err.status, details: err.details });
+        }
+      }
+      return { publishedItemIds, failed };
+    },
+  };
+}
@@ -0,0 +1,87 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { loadAlertConfig, dispatchAlerts, detectTransitions, snapshotBill, queueKey } from "../lib/alerts.js";
+import { createMemoryStore } from "../lib/store.js";
+
+// Stand-in webhook: answers with `reply.status` (or never, when `reply.hang`)
+const received = [];
+const reply = { status: 200, hang: false };
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", c => { body += c; });
+  req.on("end", () => {
+    if (reply.hang) return;
+    received.push({ path: req.url, body: JSON.parse(body) });
+    res.statusCode = reply.status;
+    res.end();
+  });
+});
+let base;
+before(async () => {
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const configFor = (targets) =>
+  loadAlertConfig({ ALERTS_CONFIG: JSON.stringify({ targets, retries: 1, retryDelayMs: 1, timeoutMs: 200 }) });
+const transition = (billNumber, action) => ({ itemId: "item1", billNumber, state: "MN", type: "history", date: "2025-03-01", action });
+
+test("detectTransitions: nothing on first sight, then new actions and status", () => {
+  const before = { history: [{ date: "2025-01-01", action: "Introduced" }], votes: [], texts: [] };
+  const now = { ...before, history: [...before.history, { date: "2025-02-01", action: "Referred to Taxes" }] };
+  const prev = snapshotBill(before, { statusKey: "Active", stage: { label: "Introduced" } });
+  assert.deepEqual(detectTransitions(null, prev, before), []);
+  const types = detectTransitions(prev, snapshotBill(now, { statusKey: "Active", stage: { label: "In committee" } }), now).map(t => t.type);
+  assert.deepEqual(types, ["status", "history"]);
+});
+
+test("dispatchAlerts: webhook and Slack targets, filtered by bill", async () => {
+  received.length = 0;
+  const config = configFor([
+    { type: "webhook", url: `${base}/hook` },
+    { type: "slack", url: `${base}/slack`, bills: ["SF 7"] },
+  ]);
+  const deliveries = await dispatchAlerts([transition("HF12", "Introduced"), transition("SF7", "Introduced")], config);
+  assert.deepEqual(deliveries.map(d => [d.target, d.count, d.ok]), [["webhook#1", 2, true], ["slack#2", 1, true]]);
+  assert.equal(received[0].body.transitions.length, 2);
+  assert.match(received[1].body.text, /^1 bill update\n\n\*SF7\*/);
+});
+
+test("dispatchAlerts: undelivered transitions are queued and sent next time", async () => {
+  received.length = 0;
+  const store = createMemoryStore(new Map());
+  const config = configFor([{ type: "webhook", url: `${base}/hook`, name: "hook" }]);
+
+  reply.status = 503;
+  let [d] = await dispatchAlerts([transition("HF1", "First")], config, { store });
+  assert.equal(d.ok, false);
+  assert.equal(d.attempts, 2);
+  assert.equal(d.queued, 1);
+
+  reply.status = 200;
+  [d] = await dispatchAlerts([transition("HF1", "Second")], config, { store });
+  assert.equal(d.ok, true);
+  assert.deepEqual(received.at(-1).body.transitions.map(t => t.action), ["First", "Second"]);
+  assert.equal(await store.get(queueKey({ name: "hook" })), null);
+});
+
+test("dispatchAlerts: a hung endpoint times out", async () => {
+  reply.hang = true;
+  const started = Date.now();
+  const [d] = await dispatchAlerts([transition("HF1", "Hung")], configFor([{ type: "webhook", url: `${base}/hook` }]));
+  reply.hang = false;
+  assert.equal(d.ok, false);
+  assert.match(d.error, /timeout/i);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test("loadAlertConfig: rejects incomplete targets", () => {
+  assert.throws(() => configFor([{ type: "webhook" }]), /webhook#1: missing url/);
+  assert.throws(() => configFor([{ type: "email", to: ["a@b.c"] }]), /email targets need/);
+  assert.throws(() => configFor([{ type: "slack", url: "x", events: ["bogus"] }]), /unknown event "bogus"/);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, readImportRows, editorialValue, sameEditorialValue } from "../lib/import.js";
+
+test("parseCsv: quoting, line ends and blank lines", () => {
+  const csv = '﻿Bill,Notes\r\nHF12,"Watch, closely"\r\n\r\nSF7,"Line one\nline ""two"""\nHF3,';
+  assert.deepEqual(parseCsv(csv), [
+    { line: 1, cells: ["Bill", "Notes"] },
+    { line: 2, cells: ["HF12", "Watch, closely"] },
+    { line: 4, cells: ["SF7", 'Line one\nline "two"'] },
+    { line: 6, cells: ["HF3", ""] },
+  ]);
+});
+
+test("parseCsv: unterminated quote", () => {
+  assert.throws(() => parseCsv('Bill\n"HF12'), /Unterminated quoted field starting on line 2/);
+});
+
+test("readImportRows: header aliases", () => {
+  const { columns, ignored, rows } = readImportRows("House File,Senate File,Stance,Owner\nHF12,SF7,Support,Ann\n");
+  assert.deepEqual(columns, { house: 0, senate: 1, position: 2 });
+  assert.deepEqual(ignored, ["Owner"]);
+  assert.deepEqual(rows, [{ line: 2, values: { house: "HF12", senate: "SF7", position: "Support" } }]);
+  assert.throws(() => readImportRows("Title\nX"), /No bill number column/);
+});
+
+test("sameEditorialValue: rich text as Webflow returns it", () => {
+  const field = { type: "RichText" };
+  const { value } = editorialValue("notes", field, "Call the author's office,\nthen the chair\n\nA & B");
+  assert.ok(sameEditorialValue(field, '<p id="">Call the author&#x27;s office,<br/>then the chair</p>\n<p id="">A &amp; B</p>', value));
+  assert.ok(!sameEditorialValue(field, '<p id="">Call the author&#x27;s office</p>', value));
+  assert.ok(sameEditorialValue({ type: "Number" }, 2, 2));
+  assert.ok(!sameEditorialValue({ type: "Option" }, "opt-m", "opt-s"));
+});
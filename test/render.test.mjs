@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isPlaceholderName } from "../lib/render.js";
+
+test("isPlaceholderName: bill numbers in the state's prefixes", () => {
+  assert.ok(isPlaceholderName("", "HF12"));
+  assert.ok(isPlaceholderName("HF12", "HF12"));
+  assert.ok(isPlaceholderName("H.F. 12", "HF12"));
+  assert.ok(isPlaceholderName("House File 12", "HF12"));
+  assert.ok(isPlaceholderName("SF 916", "HF12"));
+  assert.ok(isPlaceholderName("TBD", "HF12"));
+  assert.ok(isPlaceholderName("AB 5", "AB5", { state: "WI" }));
+});
+
+test("isPlaceholderName: real titles with a number are kept", () => {
+  assert.equal(isPlaceholderName("Bonding 2024", "HF12"), false);
+  assert.equal(isPlaceholderName("Budget 2025", "HF12"), false);
+  assert.equal(isPlaceholderName("AB 5", "HF12"), false);
+  assert.equal(isPlaceholderName("Education funding", "HF12"), false);
+});
@@ -0,0 +1,83 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { sendMail, buildMessage } from "../lib/smtp.js";
+
+// Stand-in SMTP server: records the commands and the DATA of each session;
+// `rejectRcpt` makes it refuse recipients
+const sessions = [];
+let rejectRcpt = false;
+const server = net.createServer(socket => {
+  const session = { commands: [], data: "" };
+  sessions.push(session);
+  let buf = "", inData = false;
+  socket.setEncoding("utf8");
+  socket.write("220 localhost ESMTP test\r\n");
+  socket.on("data", chunk => {
+    buf += chunk;
+    if (inData) {
+      const end = buf.indexOf("\r\n.\r\n");
+      if (end < 0) return;
+      session.data = buf.slice(0, end);
+      buf = buf.slice(end + 5);
+      inData = false;
+      socket.write("250 2.0.0 queued as 1\r\n");
+    }
+    let i;
+    while (!inData && (i = buf.indexOf("\r\n")) >= 0) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      session.commands.push(line);
+      const verb = line.split(/[ :]/)[0].toUpperCase();
+      if (verb === "EHLO") socket.write("250-localhost\r\n250 AUTH PLAIN\r\n");
+      else if (verb === "AUTH") socket.write("235 2.7.0 ok\r\n");
+      else if (verb === "RCPT") socket.write(rejectRcpt ? "550 5.1.1 no such user\r\n" : "250 ok\r\n");
+      else if (verb === "DATA") { socket.write("354 go ahead\r\n"); inData = true; }
+      else if (verb === "QUIT") { socket.write("221 bye\r\n"); socket.end(); }
+      else socket.write("250 ok\r\n");
+    }
+  });
+});
+let port;
+before(async () => {
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  port = server.address().port;
+});
+after(() => server.close());
+
+const mail = (extra = {}) => ({
+  host: "127.0.0.1", port, starttls: false, timeoutMs: 2000, clientName: "tester",
+  from: "Tracker <tracker@example.org>", to: ["policy@example.org"], subject: "Bill tracker: 1 update", text: "HF1\n.hidden line",
+  ...extra,
+});
+
+test("sendMail: delivers through the SMTP dialogue", async () => {
+  const result = await sendMail(mail({ user: "u", pass: "p" }));
+  assert.deepEqual(result.accepted, ["policy@example.org"]);
+  const { commands, data } = sessions.at(-1);
+  assert.deepEqual(commands, [
+    "EHLO tester",
+    `AUTH PLAIN ${Buffer.from("\0u\0p").toString("base64")}`,
+    "MAIL FROM:<tracker@example.org>",
+    "RCPT TO:<policy@example.org>",
+    "DATA",
+    "QUIT",
+  ]);
+  assert.match(data, /^From: Tracker <tracker@example.org>\r\nTo: policy@example.org\r\nSubject: Bill tracker: 1 update\r\n/);
+  assert.match(data, /\r\n\r\nHF1\r\n\.\.hidden line$/); // dot-stuffed
+});
+
+test("sendMail: a refused recipient is an error", async () => {
+  rejectRcpt = true;
+  try {
+    await assert.rejects(sendMail(mail()), /SMTP RCPT TO:<policy@example.org> failed: 550/);
+  } finally {
+    rejectRcpt = false;
+  }
+});
+
+test("buildMessage: non-ASCII subjects are encoded", () => {
+  const msg = buildMessage({ from: "a@b.c", to: ["d@e.f"], subject: "HF1 – Passed", text: "x", date: new Date(0) });
+  assert.match(msg, /Subject: =\?UTF-8\?B\?SEYxIOKAkyBQYXNzZWQ=\?=\r\n/);
+  assert.match(msg, /Date: Thu, 01 Jan 1970 00:00:00 GMT/);
+});
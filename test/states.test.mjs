@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getStateProfile, normalizeBillNumber, normalizeNumbers, chamberOfNumber, inferStateFromNumbers } from "../lib/states.js";
+
+const MN = getStateProfile("MN");
+
+test("normalizeNumbers: moves a number typed into the wrong chamber", () => {
+  assert.deepEqual(normalizeNumbers("S.F. 0916", "", MN), { houseNumber: "", senateNumber: "SF916", corrections: { senateNumber: "SF916", houseNumber: "" } });
+  assert.deepEqual(normalizeNumbers("hf 12", "sf-7", MN), { houseNumber: "HF12", senateNumber: "SF7", corrections: {} });
+});
+
+test("normalizeNumbers: unknown states don't throw", () => {
+  const profile = getStateProfile("TX");
+  assert.equal(profile, null);
+  assert.equal(chamberOfNumber("HB1", profile), null);
+  assert.deepEqual(normalizeNumbers("HB 1", "", profile), { houseNumber: "HB1", senateNumber: "", corrections: {} });
+  assert.deepEqual(normalizeNumbers("", "SB 2", undefined), { houseNumber: "", senateNumber: "SB2", corrections: {} });
+});
+
+test("normalizeBillNumber: spelled-out prefixes", () => {
+  assert.equal(normalizeBillNumber("House File 12", MN), "HF12");
+  assert.equal(normalizeBillNumber("LB 0005", getStateProfile("NE")), "LB5");
+});
+
+test("inferStateFromNumbers: only numbers a single state uses", () => {
+  assert.equal(inferStateFromNumbers("AB 5").state, "WI");
+  assert.equal(inferStateFromNumbers("", "LB12").state, "NE");
+  assert.equal(inferStateFromNumbers("HJRES3", "S12").state, "US");
+  assert.deepEqual(inferStateFromNumbers("HB1"), { state: null, candidates: ["ND", "SD", "US"], error: "Jurisdiction required: HB1 could be ND, SD, US" });
+  assert.deepEqual(inferStateFromNumbers("H.F. 12", "SF7").candidates, ["MN", "IA"]);
+  assert.equal(inferStateFromNumbers("XYZ1").error, "Jurisdiction required: no supported state numbers bills like XYZ1");
+  assert.equal(inferStateFromNumbers("", "").error, "No bill number");
+});
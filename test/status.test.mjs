@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyAction } from "../lib/status.js";
+
+test("classifyAction: failure of the bill itself", () => {
+  assert.equal(classifyAction("Third reading Failed to pass"), "failed");
+  assert.equal(classifyAction("Final passage failed 60-70"), "failed");
+  assert.equal(classifyAction("Bill was defeated"), "failed");
+  assert.equal(classifyAction("Indefinitely postponed"), "failed");
+});
+
+test("classifyAction: failed amendments and motions don't fail the bill", () => {
+  assert.equal(classifyAction("Amendment offered by Rep. Smith failed"), null);
+  assert.equal(classifyAction("Motion to reconsider failed"), null);
+  assert.equal(classifyAction("Motion to suspend rules defeated"), null);
+  assert.equal(classifyAction("Amendments adopted"), null);
+});
+
+test("classifyAction: committee reports and floor actions", () => {
+  assert.equal(classifyAction("Committee report, to pass as amended and re-refer to Finance"), "referral");
+  assert.equal(classifyAction("Committee report, to pass"), "report_pass");
+  assert.equal(classifyAction("Recommended do not pass"), "report_dnp");
+  assert.equal(classifyAction("Referred to Education Policy"), "referral");
+  assert.equal(classifyAction("Bill was passed"), "passed");
+  assert.equal(classifyAction("Laid on table"), "tabled");
+  assert.equal(classifyAction("Governor approval"), null);
+  assert.equal(classifyAction("Signed by governor"), "signed");
+});
@@ -0,0 +1,77 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createRedisStore, createFileStore, getStore } from "../lib/store.js";
+
+// Stand-in for a Redis REST endpoint (GET / SET / DEL only)
+const data = new Map();
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", c => { body += c; });
+  req.on("end", () => {
+    res.setHeader("Content-Type", "application/json");
+    if (req.headers.authorization !== "Bearer secret") {
+      res.statusCode = 401;
+      return res.end(JSON.stringify({ error: "Unauthorized" }));
+    }
+    const [cmd, key, value] = JSON.parse(body);
+    if (cmd === "GET") return res.end(JSON.stringify({ result: data.get(key) ?? null }));
+    if (cmd === "SET") { data.set(key, value); return res.end(JSON.stringify({ result: "OK" })); }
+    if (cmd === "DEL") { data.delete(key); return res.end(JSON.stringify({ result: 1 })); }
+    res.statusCode = 400;
+    res.end(JSON.stringify({ error: `ERR unknown command '${cmd}'` }));
+  });
+});
+let url;
+before(async () => {
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+test("redis store: values round-trip as JSON", async () => {
+  const store = createRedisStore({ url, token: "secret" });
+  assert.equal(await store.get("missing"), null);
+  await store.set("billRecords:x", { item1: { house: { number: "HF1" } } });
+  assert.deepEqual(await store.get("billRecords:x"), { item1: { house: { number: "HF1" } } });
+  await store.delete("billRecords:x");
+  assert.equal(await store.get("billRecords:x"), null);
+});
+
+test("redis store: errors name the command", async () => {
+  await assert.rejects(createRedisStore({ url, token: "wrong" }).get("k"), /Store GET failed: Unauthorized/);
+  assert.throws(() => createRedisStore({ url: "", token: "" }), /KV_REST_API_URL/);
+});
+
+test("getStore: redis is the default once the REST settings are there", async () => {
+  const saved = { ...process.env };
+  try {
+    delete process.env.SYNC_STORE;
+    process.env.KV_REST_API_URL = url;
+    process.env.KV_REST_API_TOKEN = "secret";
+    await getStore().set("syncCursor:x", { position: 3 });
+    assert.equal(data.get("syncCursor:x"), '{"position":3}');
+  } finally {
+    process.env = saved;
+  }
+});
+
+test("file store writes the file once, on flush", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "store-test-"));
+  const file = path.join(dir, "store.json");
+  try {
+    const store = createFileStore(file);
+    await store.set("a", 1);
+    await store.set("b", { x: 2 });
+    await store.delete("a");
+    await assert.rejects(fs.stat(file), { code: "ENOENT" });
+    await store.flush();
+    assert.deepEqual(JSON.parse(await fs.readFile(file, "utf8")), { b: { x: 2 } });
+    assert.deepEqual(await createFileStore(file).get("b"), { x: 2 });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
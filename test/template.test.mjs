@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileTemplate, renderTemplate } from "../lib/template.js";
+
+test("renderTemplate: values are escaped unless triple-braced", () => {
+  assert.equal(renderTemplate("{{a}} {{{a}}} {{&a}}", { a: "<b>&</b>" }), "&lt;b&gt;&amp;&lt;/b&gt; <b>&</b> <b>&</b>");
+  assert.equal(renderTemplate("{{bill.url}}|{{missing}}", { bill: { url: "x" } }), "x|");
+});
+
+test("renderTemplate: sections, inverted sections and outer scopes", () => {
+  const tpl = "{{#items}}<li>{{name}} ({{state}})</li>{{/items}}{{^items}}none{{/items}}{{! note }}";
+  assert.equal(renderTemplate(tpl, { state: "MN", items: [{ name: "A" }, { name: "B" }] }), "<li>A (MN)</li><li>B (MN)</li>");
+  assert.equal(renderTemplate(tpl, { items: [] }), "none");
+  assert.equal(renderTemplate("{{#list}}{{.}},{{/list}}", { list: [1, 2] }), "1,2,");
+});
+
+test("compileTemplate: unbalanced sections", () => {
+  assert.throws(() => compileTemplate("{{#a}}x"), /Unclosed section "a"/);
+  assert.throws(() => compileTemplate("{{#a}}x{{/b}}"), /Unexpected \{\{\/b\}\}/);
+});
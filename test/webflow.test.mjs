@@ -0,0 +1,56 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+// Stand-in for the Webflow API: answers each request with the next status in
+// `replies` (200 once they run out) and counts the requests per method
+const replies = [];
+const calls = { GET: 0, POST: 0, PATCH: 0 };
+const server = http.createServer((req, res) => {
+  req.resume();
+  req.on("end", () => {
+    calls[req.method]++;
+    res.statusCode = replies.shift() ?? 200;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(res.statusCode === 200 ? { items: [{ id: "new1" }], publishedItemIds: ["a"] } : { message: "Server error" }));
+  });
+});
+
+let createWebflowClient;
+before(async () => {
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  // BASE_URL is fixed, so point fetch at the stand-in
+  const realFetch = globalThis.fetch;
+  const base = `http://127.0.0.1:${server.address().port}`;
+  globalThis.fetch = (url, opts) => realFetch(String(url).replace("https://api.webflow.com/v2", base), opts);
+  ({ createWebflowClient } = await import("../lib/webflow.js"));
+});
+after(() => server.close());
+
+const client = () => createWebflowClient({ token: "t", collectionId: "c", retries: 2, retryDelayMs: 1 });
+const reset = (...statuses) => { replies.splice(0, replies.length, ...statuses); Object.keys(calls).forEach(k => { calls[k] = 0; }); };
+
+test("creates are not retried after a 5xx", async () => {
+  reset(502);
+  const { ok, failed } = await client().createItems([{ fieldData: { name: "A" } }]);
+  assert.equal(calls.POST, 1);
+  assert.equal(ok.length, 0);
+  assert.match(failed[0].error, /not retried, the request may have gone through/);
+});
+
+test("creates are retried after a 429", async () => {
+  reset(429);
+  const { ok } = await client().createItems([{ fieldData: { name: "A" } }]);
+  assert.equal(calls.POST, 2);
+  assert.deepEqual(ok, [{ id: "new1" }]);
+});
+
+test("updates and publishes are still retried after a 5xx", async () => {
+  reset(503);
+  const { failed } = await client().updateItems([{ id: "a", fieldData: {} }]);
+  assert.equal(calls.PATCH, 2);
+  assert.equal(failed.length, 0);
+  reset(500);
+  assert.deepEqual((await client().publishItems(["a"])).publishedItemIds, ["a"]);
+  assert.equal(calls.POST, 2);
+});